@@ -0,0 +1,436 @@
+// Agent backends for the Ralph loop. An adapter runs one iteration: it gets
+// the prompt and the project directory and resolves
+//   { output, usage, exitReason, model }
+// output      the agent's final text; the loop looks for <promise>DONE</promise>
+// usage       { input_tokens, output_tokens, cache_creation_input_tokens,
+//             cache_read_input_tokens }, or null if the backend reports none
+// exitReason  completed | error | rate_limit | auth | timeout | max_turns | unavailable
+// scripts/agent.js runs adapters for ralph.sh; the server lists them and
+// checks job options against them.
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const EXIT_REASONS = ['completed', 'error', 'rate_limit', 'auth', 'timeout', 'max_turns', 'unavailable'];
+
+// Seconds one iteration may run before the agent is stopped (0: no limit)
+const AGENT_TIMEOUT_SECONDS = parseInt(process.env.AGENT_TIMEOUT_SECONDS) || 3600;
+
+function result(exitReason, output, usage = null, model = null) {
+  return { output: output || '', usage, exitReason, model };
+}
+
+// Failure text from a CLI or API, sorted into the reasons the loop stops on
+function classifyFailure(text) {
+  if (/rate limit|too many requests|overloaded/i.test(text)) return 'rate_limit';
+  if (/api key|unauthori[sz]ed|authentication|invalid x-api-key/i.test(text)) return 'auth';
+  return 'error';
+}
+
+function commandExists(command) {
+  return (process.env.PATH || '').split(path.delimiter).some(dir => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Run a CLI with the prompt on stdin. Resolves { stdout, stderr, code, timedOut }.
+function runProcess(command, args, { cwd, input, env }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { cwd, env: { ...process.env, ...env } });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = AGENT_TIMEOUT_SECONDS > 0 ? setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGTERM');
+    }, AGENT_TIMEOUT_SECONDS * 1000) : null;
+
+    proc.stdout.on('data', data => { stdout += data; });
+    proc.stderr.on('data', data => { stderr += data; });
+    proc.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', code => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr, code, timedOut });
+    });
+    proc.stdin.on('error', () => { /* agent exited before reading the prompt */ });
+    proc.stdin.end(input);
+  });
+}
+
+// Claude Code CLI. JSON output carries the result text and token usage.
+const claude = {
+  name: 'claude',
+  description: 'Claude Code CLI (claude --print)',
+  defaultModel: () => process.env.INTERN_MODEL || 'claude-3-haiku-20240307',
+  unavailableReason: () => commandExists('claude') ? null : 'Claude CLI not found (npm install -g @anthropic-ai/claude-code)',
+
+  async run({ prompt, cwd, model }) {
+    const args = ['-p', '.', '--print', '--output-format', 'json'];
+    if (model) args.push('--model', model);
+    // Reading, writing, and git and npm commands
+    args.push('--allowed-tools', 'Read Write Edit Bash(git:*) Bash(npm:*)');
+
+    const { stdout, stderr, code, timedOut } = await runProcess('claude', args, { cwd, input: prompt });
+    if (timedOut) return result('timeout', stdout || stderr);
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(stdout);
+    } catch (e) { /* not JSON: an error before the agent started */ }
+
+    if (!parsed || typeof parsed.result !== 'string') {
+      const text = (stdout + stderr).trim();
+      return result(code === 0 ? 'completed' : classifyFailure(text), text);
+    }
+
+    const failed = parsed.is_error || code !== 0;
+    let exitReason = failed ? classifyFailure(parsed.result) : 'completed';
+    if (parsed.subtype === 'error_max_turns') exitReason = 'max_turns';
+    return result(exitReason, parsed.result, parsed.usage || null, model);
+  }
+};
+
+// Amp CLI. Plain text output, no usage.
+const amp = {
+  name: 'amp',
+  description: 'Amp CLI (amp --print)',
+  defaultModel: () => null,
+  unavailableReason: () => commandExists('amp') ? null : 'Amp CLI not found',
+
+  async run({ prompt, cwd }) {
+    const { stdout, stderr, code, timedOut } = await runProcess('amp', ['--print'], { cwd, input: prompt });
+    const text = (stdout + stderr).trim();
+    if (timedOut) return result('timeout', text);
+    return result(code === 0 ? 'completed' : classifyFailure(text), text);
+  }
+};
+
+// OpenAI-compatible chat completions endpoint, driven through a small tool
+// loop: the model reads, writes and lists files inside the project and runs
+// git and npm commands, like the tools the Claude CLI is allowed.
+const OPENAI_MAX_TURNS = parseInt(process.env.OPENAI_MAX_TURNS) || 40;
+const MAX_TOOL_OUTPUT = 10000;
+const MAX_LISTED_FILES = 500;
+const COMMAND_TIMEOUT_MS = 5 * 60 * 1000;
+
+function openaiBaseUrl() {
+  if (process.env.OPENAI_BASE_URL) return process.env.OPENAI_BASE_URL.replace(/\/+$/, '');
+  if (process.env.ANTHROPIC_BASE_URL) return process.env.ANTHROPIC_BASE_URL.replace(/\/+$/, '') + '/v1';
+  return 'https://api.openai.com/v1';
+}
+
+const OPENAI_TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a file in the project',
+    parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+  },
+  {
+    name: 'write_file',
+    description: 'Create or replace a file in the project',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string' }, content: { type: 'string' } },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'list_files',
+    description: 'List files under a directory of the project (default: the project root)',
+    parameters: { type: 'object', properties: { path: { type: 'string' } } }
+  },
+  {
+    name: 'run_command',
+    description: 'Run a git or npm command in the project, e.g. "npm test" or "git status". No shell: pipes, redirects and ; are not supported.',
+    parameters: { type: 'object', properties: { command: { type: 'string' } }, required: ['command'] }
+  }
+].map(fn => ({ type: 'function', function: fn }));
+
+// Path inside the project, never inside .git
+function projectPath(cwd, file) {
+  if (typeof file !== 'string' || file.includes('\0')) throw new Error('path must be a string');
+  const root = path.resolve(cwd);
+  const resolved = path.resolve(root, file);
+  if ((resolved !== root && !resolved.startsWith(root + path.sep)) ||
+      path.relative(root, resolved).split(path.sep).includes('.git')) {
+    throw new Error(`path is outside the project: ${file}`);
+  }
+  return resolved;
+}
+
+function listFiles(root, dir) {
+  const files = [];
+  const walk = current => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+      if (files.length >= MAX_LISTED_FILES || entry.name === '.git' || entry.name === 'node_modules') return;
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else files.push(path.relative(root, full));
+    });
+  };
+  walk(dir);
+  return files;
+}
+
+// git subcommands that run programs or hooks named in config or on the
+// command line (git config alias.x '!sh ...' then git x, core.sshCommand, ...)
+const GIT_BLOCKED_SUBCOMMANDS = ['config', 'submodule', 'filter-branch', 'bisect', 'rebase',
+  'difftool', 'mergetool', 'daemon', 'instaweb', 'credential', 'archive'];
+const GIT_BLOCKED_OPTIONS = /^--(exec|upload-pack|receive-pack|extcmd|tool)(=|$)/;
+
+// "git commit -m 'a message'" -> ['git', 'commit', '-m', 'a message']
+//
+// This keeps the agent to the commands it needs, but it is not a sandbox:
+// npm runs whatever scripts the project's package.json (which the agent can
+// write) defines. Run agents only on machines and repos you'd let them own.
+function splitCommand(command) {
+  if (/[;&|`$<>\n\\]/.test(command)) {
+    throw new Error('only plain git and npm commands are allowed (no ; & | ` $ < > or \\)');
+  }
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(command)) !== null) {
+    words.push(match[1] ?? match[2] ?? match[3]);
+  }
+  if (!['git', 'npm'].includes(words[0])) {
+    throw new Error('only git and npm commands are allowed');
+  }
+  // git -c / --exec-path and friends can run arbitrary programs
+  if (words[0] === 'git' && (!words[1] || words[1].startsWith('-'))) {
+    throw new Error('git commands must start with a subcommand, e.g. git status');
+  }
+  if (words[0] === 'git' && (GIT_BLOCKED_SUBCOMMANDS.includes(words[1]) || words.some(word => GIT_BLOCKED_OPTIONS.test(word)))) {
+    throw new Error(`git ${words[1]} is not allowed here`);
+  }
+  return words;
+}
+
+function runCommand(cwd, command) {
+  const [file, ...args] = splitCommand(command);
+  return new Promise(resolve => {
+    execFile(file, args, { cwd, timeout: COMMAND_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      const code = error ? (typeof error.code === 'number' ? error.code : 1) : 0;
+      resolve(`exit code ${code}\n${stdout}${stderr}`);
+    });
+  });
+}
+
+async function callTool(cwd, name, args) {
+  switch (name) {
+    case 'read_file':
+      return fs.readFileSync(projectPath(cwd, args.path), 'utf8');
+    case 'write_file': {
+      const file = projectPath(cwd, args.path);
+      if (typeof args.content !== 'string') throw new Error('content must be a string');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, args.content);
+      return `wrote ${args.path}`;
+    }
+    case 'list_files':
+      return listFiles(path.resolve(cwd), projectPath(cwd, args.path || '.')).join('\n') || '(no files)';
+    case 'run_command':
+      return runCommand(cwd, String(args.command || ''));
+    default:
+      throw new Error(`unknown tool: ${name}`);
+  }
+}
+
+const openai = {
+  name: 'openai',
+  description: 'OpenAI-compatible chat completions API with file and git/npm tools',
+  defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  unavailableReason: () => process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL
+    ? null
+    : 'OPENAI_API_KEY is not set',
+
+  async run({ prompt, cwd, model, log }) {
+    const url = `${openaiBaseUrl()}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const messages = [
+      { role: 'system', content: 'You are a coding agent working in a git repository. Use the tools to inspect and change the project. Paths are relative to the project root. When you are done, reply with a short summary and no tool calls.' },
+      { role: 'user', content: prompt }
+    ];
+    const usage = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+    const deadline = AGENT_TIMEOUT_SECONDS > 0 ? Date.now() + AGENT_TIMEOUT_SECONDS * 1000 : Infinity;
+    let lastText = '';
+
+    for (let turn = 0; turn < OPENAI_MAX_TURNS; turn++) {
+      if (Date.now() > deadline) return result('timeout', lastText, usage, model);
+
+      let response;
+      let body;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ model, messages, tools: OPENAI_TOOLS }),
+          signal: AbortSignal.timeout(Math.min(deadline - Date.now(), 10 * 60 * 1000))
+        });
+        body = await response.json().catch(() => ({}));
+      } catch (err) {
+        return result(err.name === 'TimeoutError' ? 'timeout' : 'error', `Request to ${url} failed: ${err.message}`, usage, model);
+      }
+
+      if (!response.ok) {
+        const message = `API error ${response.status}: ${(body.error && body.error.message) || response.statusText}`;
+        const reason = response.status === 429 ? 'rate_limit'
+          : [401, 403].includes(response.status) ? 'auth'
+            : classifyFailure(message);
+        return result(reason, message, usage, model);
+      }
+
+      if (body.usage) {
+        const cached = (body.usage.prompt_tokens_details && body.usage.prompt_tokens_details.cached_tokens) || 0;
+        usage.input_tokens += (body.usage.prompt_tokens || 0) - cached;
+        usage.cache_read_input_tokens += cached;
+        usage.output_tokens += body.usage.completion_tokens || 0;
+      }
+
+      const message = body.choices && body.choices[0] && body.choices[0].message;
+      if (!message) return result('error', 'API response had no message', usage, model);
+      messages.push(message);
+      if (message.content) lastText = message.content;
+
+      const calls = message.tool_calls || [];
+      if (calls.length === 0) return result('completed', lastText, usage, model);
+
+      for (const call of calls) {
+        let output;
+        try {
+          const args = JSON.parse(call.function.arguments || '{}');
+          if (log) log(`${call.function.name} ${JSON.stringify(args.path || args.command || '')}`);
+          output = await callTool(cwd, call.function.name, args);
+        } catch (err) {
+          output = `error: ${err.message}`;
+        }
+        messages.push({ role: 'tool', tool_call_id: call.id, content: String(output).slice(0, MAX_TOOL_OUTPUT) });
+      }
+    }
+
+    return result('max_turns', lastText, usage, model);
+  }
+};
+
+// Deterministic stand-in for offline runs and integration tests. By default
+// every story passes on its first attempt: the agent writes
+// fake-agent/<story>.md, sets the story's passes flag in prd.json, appends to
+// progress.txt and answers DONE. FAKE_AGENT_SCRIPT names a JSON file of steps
+// per story id ("*" for any other story), one per attempt, the last repeating:
+//   { "story-2": ["fail", "pass"], "*": ["pass"] }
+// A step is pass | fail | rate_limit | auth | error, or an object
+// { result, files: { "<path>": "<content>" }, output } that also writes files.
+const FAKE_STEPS = ['pass', 'fail', 'rate_limit', 'auth', 'error'];
+
+function fakeScript() {
+  if (!process.env.FAKE_AGENT_SCRIPT) return {};
+  return JSON.parse(fs.readFileSync(process.env.FAKE_AGENT_SCRIPT, 'utf8'));
+}
+
+const fake = {
+  name: 'fake',
+  description: 'Scripted agent for offline runs and tests (FAKE_AGENT_SCRIPT)',
+  defaultModel: () => 'fake',
+  unavailableReason: () => null,
+
+  async run({ prompt, cwd, model, storyId, attempt }) {
+    const id = storyId || ((/\*\*Story ID:\*\* (\S+)/.exec(prompt) || [])[1]) || 'story';
+    const script = fakeScript();
+    const steps = [].concat(script[id] || script['*'] || ['pass']);
+    const raw = steps[Math.min(Math.max(attempt || 1, 1), steps.length) - 1];
+    const step = typeof raw === 'string' ? { result: raw } : { result: 'pass', ...raw };
+    if (!FAKE_STEPS.includes(step.result)) {
+      return result('error', `Unknown fake agent step for ${id}: ${JSON.stringify(raw)}`);
+    }
+
+    const usage = { input_tokens: Math.ceil(prompt.length / 4), output_tokens: 20 };
+    if (['rate_limit', 'auth', 'error'].includes(step.result)) {
+      const messages = { rate_limit: 'Rate limit exceeded', auth: 'Invalid API key', error: 'Agent crashed' };
+      return result(step.result, step.output || `[fake] ${messages[step.result]}`, usage, model);
+    }
+
+    Object.entries(step.files || {}).forEach(([file, content]) => {
+      const target = projectPath(cwd, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, String(content));
+    });
+
+    const note = projectPath(cwd, `fake-agent/${id}.md`);
+    fs.mkdirSync(path.dirname(note), { recursive: true });
+    fs.writeFileSync(note, `${id}: attempt ${attempt || 1} (${step.result})\n`);
+
+    if (step.result === 'fail') {
+      return result('completed', step.output || `[fake] Could not finish ${id}`, usage, model);
+    }
+
+    const prdPath = path.join(cwd, 'prd.json');
+    if (fs.existsSync(prdPath)) {
+      const prd = JSON.parse(fs.readFileSync(prdPath, 'utf8'));
+      (prd.userStories || []).filter(story => story.id === id).forEach(story => { story.passes = true; });
+      fs.writeFileSync(prdPath, JSON.stringify(prd, null, 2) + '\n');
+    }
+    fs.appendFileSync(path.join(cwd, 'progress.txt'), `\n- [fake] implemented ${id} on attempt ${attempt || 1}\n`);
+
+    return result('completed', step.output || `[fake] Implemented ${id}\n<promise>DONE</promise>`, usage, model);
+  }
+};
+
+const ADAPTERS = [claude, amp, openai, fake];
+
+function names() {
+  return ADAPTERS.map(adapter => adapter.name);
+}
+
+function get(name) {
+  return ADAPTERS.find(adapter => adapter.name === name) || null;
+}
+
+// Adapters as the API lists them
+function list() {
+  return ADAPTERS.map(adapter => {
+    const reason = adapter.unavailableReason();
+    return {
+      name: adapter.name,
+      description: adapter.description,
+      defaultModel: adapter.defaultModel(),
+      available: !reason,
+      reason
+    };
+  });
+}
+
+// Run one iteration. Never rejects: failures become an exitReason.
+async function run(name, options) {
+  const adapter = get(name);
+  if (!adapter) return result('unavailable', `Unknown agent: ${name}`);
+
+  const reason = adapter.unavailableReason();
+  if (reason) return result('unavailable', reason);
+
+  const model = options.model || adapter.defaultModel();
+  try {
+    const outcome = await adapter.run({ ...options, model });
+    return { ...outcome, model: outcome.model || model };
+  } catch (err) {
+    return result('error', `${name} agent failed: ${err.message}`, null, model);
+  }
+}
+
+module.exports = {
+  EXIT_REASONS,
+  names,
+  get,
+  list,
+  run,
+  splitCommand
+};
@@ -0,0 +1,107 @@
+// Dashboard authentication: password hashing, session and API token secrets,
+// credentials from requests and WebSocket upgrades, and roles.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'ralph_session';
+const API_TOKEN_PREFIX = 'ralph_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// 'scrypt$<salt>$<hash>', both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Random secret shown to the client once; the database only keeps hashToken()
+function generateToken(prefix = '') {
+  return prefix + crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) { /* malformed value */ }
+  });
+  return cookies;
+}
+
+// Bearer token (scripts) or session cookie (web UI) of an HTTP request or
+// WebSocket upgrade: { type: 'token' | 'session', secret } or null
+function getCredentials(req) {
+  const header = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+  if (bearer) {
+    return { type: bearer[1].startsWith(API_TOKEN_PREFIX) ? 'token' : 'session', secret: bearer[1] };
+  }
+
+  const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  return session ? { type: 'session', secret: session } : null;
+}
+
+function sessionCookie(secret, maxAgeSeconds, secure) {
+  const attributes = [`${SESSION_COOKIE}=${secret}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSeconds}`];
+  if (secure) attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+// Validation messages for account fields, or null when valid
+function validateUsername(username) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9._-]{1,64}$/.test(username)) {
+    return 'username must be 1-64 letters, digits, ".", "_" or "-"';
+  }
+  return null;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateRole(role) {
+  return ROLES.includes(role) ? null : `role must be one of: ${ROLES.join(', ')}`;
+}
+
+module.exports = {
+  ROLES,
+  API_TOKEN_PREFIX,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  hasRole,
+  getCredentials,
+  sessionCookie,
+  validateUsername,
+  validatePassword,
+  validateRole
+};
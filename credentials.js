@@ -0,0 +1,158 @@
+// Git host credentials: tokens are encrypted with a master key before they
+// are stored, given to git through a credential helper that reads them from
+// the environment (never from the command line), and scrubbed from output.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Host type -> username git sends with the token over HTTPS when none is set
+const HOST_TYPES = {
+  github: 'x-access-token',
+  gitlab: 'oauth2',
+  gitea: null,
+  bitbucket: 'x-token-auth'
+};
+
+const HELPER_PATH = path.join(__dirname, 'scripts', 'git-credential-ralph.sh');
+
+let key = null;
+const secrets = new Set();
+
+// Master key from CREDENTIALS_KEY, or a random one kept in
+// <dataDir>/credentials.key (created on first start, readable by the owner only)
+function init(dataDir) {
+  let material = process.env.CREDENTIALS_KEY;
+  if (!material) {
+    const keyPath = path.join(dataDir, 'credentials.key');
+    if (!fs.existsSync(keyPath)) {
+      fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+      console.log(`Generated credentials key at ${keyPath}`);
+    }
+    material = fs.readFileSync(keyPath, 'utf8').trim();
+  }
+  key = crypto.scryptSync(material, 'ralph-dashboard-credentials', 32);
+}
+
+// 'v1:<iv>:<tag>:<ciphertext>', base64, AES-256-GCM
+function encrypt(text) {
+  if (!key) throw new Error('Credentials key not loaded');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function decrypt(blob) {
+  if (!key) throw new Error('Credentials key not loaded');
+  const [version, iv, tag, data] = (blob || '').split(':');
+  if (version !== 'v1' || !iv || !tag || data === undefined) {
+    throw new Error('Unknown credential format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (e) {
+    throw new Error('Cannot decrypt credential: wrong CREDENTIALS_KEY?');
+  }
+}
+
+// Remember a secret so scrub() removes it from output
+function addSecret(secret) {
+  if (secret && secret.length >= 8) secrets.add(secret);
+}
+
+// Replace known tokens and credentials embedded in URLs with [redacted]
+function scrub(text) {
+  let clean = String(text).replace(/(\/\/)[^/@\s]+@/g, '$1[redacted]@');
+  secrets.forEach(secret => {
+    clean = clean.split(secret).join('[redacted]');
+  });
+  return clean;
+}
+
+// Host of a remote URL as HTTPS would reach it: https://h:port/o/r,
+// ssh://git@h/o/r or git@h:o/r. Null for local paths.
+function remoteHost(url) {
+  const scp = /^[A-Za-z0-9._-]+@([A-Za-z0-9.-]+):(?!\/\/)/.exec(url || '');
+  if (scp) return scp[1].toLowerCase();
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'ssh:') return parsed.hostname.toLowerCase();
+    return ['https:', 'http:'].includes(parsed.protocol) ? parsed.host.toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// HTTPS form of an SSH remote, so a token can authenticate it; https and
+// http URLs are returned without any embedded credentials
+function httpsUrl(url) {
+  const scp = /^[A-Za-z0-9._-]+@([A-Za-z0-9.-]+):(?!\/\/)(.+)$/.exec(url);
+  if (scp) return `https://${scp[1]}/${scp[2].replace(/^\//, '')}`;
+
+  const parsed = new URL(url);
+  if (parsed.protocol === 'ssh:') {
+    return `https://${parsed.hostname}${parsed.pathname}`;
+  }
+  parsed.username = '';
+  parsed.password = '';
+  return parsed.toString();
+}
+
+// Environment for a git command that lets the credential helper answer for
+// host with this username and token. Other helpers are switched off so a
+// stale keychain entry cannot win.
+function helperEnv(host, username, token) {
+  return {
+    GIT_CONFIG_COUNT: '2',
+    GIT_CONFIG_KEY_0: 'credential.helper',
+    GIT_CONFIG_VALUE_0: '',
+    GIT_CONFIG_KEY_1: `credential.https://${host}.helper`,
+    GIT_CONFIG_VALUE_1: `!'${HELPER_PATH.replace(/'/g, "'\\''")}'`,
+    RALPH_GIT_USERNAME: username,
+    RALPH_GIT_PASSWORD: token
+  };
+}
+
+// Validation messages for a new credential, or null when valid
+function validateCredential({ host, type, repo, username, token }) {
+  if (typeof host !== 'string' || !/^[A-Za-z0-9.-]+(:\d{1,5})?$/.test(host)) {
+    return 'host must be a host name, e.g. gitlab.com or git.example.com:3000';
+  }
+  if (!Object.prototype.hasOwnProperty.call(HOST_TYPES, type)) {
+    return `type must be one of: ${Object.keys(HOST_TYPES).join(', ')}`;
+  }
+  if (repo !== undefined && repo !== null && repo !== '' && (typeof repo !== 'string' || !/^[A-Za-z0-9._-]{1,100}$/.test(repo))) {
+    return 'repo must be a repository name';
+  }
+  if (username !== undefined && username !== null && username !== '' && (typeof username !== 'string' || !/^[^\s:@/]{1,100}$/.test(username))) {
+    return 'username must not contain spaces, ":", "@" or "/"';
+  }
+  if (!username && !HOST_TYPES[type]) {
+    return `username required for ${type} hosts`;
+  }
+  if (typeof token !== 'string' || token.length < 8 || token.length > 1000 || /\s/.test(token)) {
+    return 'token must be 8-1000 characters without spaces';
+  }
+  return null;
+}
+
+// Username to send for a stored credential
+function usernameFor(credential) {
+  return credential.username || HOST_TYPES[credential.type];
+}
+
+module.exports = {
+  HOST_TYPES,
+  init,
+  encrypt,
+  decrypt,
+  addSecret,
+  scrub,
+  remoteHost,
+  httpsUrl,
+  helperEnv,
+  validateCredential,
+  usernameFor
+};
@@ -3,11 +3,11 @@ const path = require('path');
 const fs = require('fs');
 
 let db;
+let dataDir;
 
 function init() {
   // Default to /app/data if not specified (for Railway volume compatibility)
   // or fallback to local ./data
-  let dataDir;
   if (process.env.DATA_DIR) {
     dataDir = process.env.DATA_DIR;
   } else if (fs.existsSync('/app/data')) {
@@ -39,6 +39,25 @@ function init() {
     )
   `);
 
+  // Job parameters, kept so interrupted jobs can be resumed
+  ensureColumn('jobs', 'request', 'TEXT');
+  ensureColumn('jobs', 'maxIterations', 'INTEGER');
+  ensureColumn('jobs', 'tool', 'TEXT');
+  ensureColumn('jobs', 'model', 'TEXT');
+  ensureColumn('jobs', 'pauseSeconds', 'INTEGER');
+  ensureColumn('jobs', 'pid', 'INTEGER');
+  ensureColumn('jobs', 'maxStoryAttempts', 'INTEGER');
+  ensureColumn('jobs', 'escalate', 'INTEGER');
+  ensureColumn('jobs', 'onFailure', 'TEXT');
+  ensureColumn('jobs', 'worktree', 'TEXT');
+  ensureColumn('jobs', 'branch', 'TEXT');
+  ensureColumn('jobs', 'openPr', 'INTEGER');
+  ensureColumn('jobs', 'issue', 'INTEGER');
+  // Prompt template the job ran with: JSON { kind, source, repo, version }
+  ensureColumn('jobs', 'promptTemplate', 'TEXT');
+  // PRD the job works on or drafts (see prd.js PRD ids; null is the default PRD)
+  ensureColumn('jobs', 'prdId', 'TEXT');
+
   // Repos table
   db.exec(`
     CREATE TABLE IF NOT EXISTS repos (
@@ -49,14 +68,228 @@ function init() {
     )
   `);
 
+  // Quality checks run after every Ralph iteration: JSON array of
+  // { name, command, timeoutSeconds }
+  ensureColumn('repos', 'checks', 'TEXT');
+
+  // Agent backend (agents.js) and model Ralph jobs use unless the job
+  // names its own; null means the server default
+  ensureColumn('repos', 'agent', 'TEXT');
+  ensureColumn('repos', 'agentModel', 'TEXT');
+
+  // Free text filling the {{conventions}} placeholder of prompt templates
+  ensureColumn('repos', 'conventions', 'TEXT');
+
+  // Token usage per iteration (one row per agent invocation)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      jobId INTEGER NOT NULL,
+      iteration INTEGER DEFAULT 0,
+      model TEXT,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cache_creation_input_tokens INTEGER DEFAULT 0,
+      cache_read_input_tokens INTEGER DEFAULT 0,
+      cost REAL DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_usage_job ON usage (jobId)');
+
+  // Structured events reported by the loop scripts (iterations, stories, commits, errors)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      jobId INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      iteration INTEGER,
+      storyId TEXT,
+      data TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events (jobId)');
+
+  // Story transitions per repo PRD: added, attempt, passed, reset, blocked.
+  // branch is the PRD's branchName, so stories of successive PRDs that
+  // reuse ids like "story-1" stay apart.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS story_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repo TEXT NOT NULL,
+      branch TEXT NOT NULL DEFAULT '',
+      storyId TEXT NOT NULL,
+      title TEXT,
+      event TEXT NOT NULL,
+      passes INTEGER,
+      jobId INTEGER,
+      iteration INTEGER,
+      commitHash TEXT,
+      source TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_story_history_repo ON story_history (repo, branch)');
+
+  // Budget caps in USD. scope: 'monthly' (all spend this calendar month),
+  // 'repo' (a repo's spend this month) or 'job' (a single job's spend).
+  // repo = '' is the global cap for that scope.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      scope TEXT NOT NULL,
+      repo TEXT NOT NULL DEFAULT '',
+      amount REAL NOT NULL,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      PRIMARY KEY (scope, repo)
+    )
+  `);
+  db.exec(`INSERT OR IGNORE INTO budgets (scope, repo, amount) VALUES ('monthly', '', 20)`);
+
+  // Pull requests opened for PRD branches. state: open | closed | merged,
+  // checksStatus: none | pending | success | failure,
+  // reviewStatus: pending | approved | changes_requested
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pull_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repo TEXT NOT NULL,
+      number INTEGER NOT NULL,
+      branch TEXT NOT NULL,
+      base TEXT,
+      title TEXT,
+      url TEXT,
+      state TEXT NOT NULL DEFAULT 'open',
+      headSha TEXT,
+      checksStatus TEXT,
+      reviewStatus TEXT,
+      jobId INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      UNIQUE (repo, number)
+    )
+  `);
+
+  // Dashboard accounts. role: viewer | operator | admin. Sessions and API
+  // tokens are stored as SHA-256 hashes of the secret handed to the client.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      passwordHash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      tokenHash TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      tokenHash TEXT NOT NULL UNIQUE,
+      lastUsedAt INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+
+  // Every state-changing API request: who, what, where and how it ended.
+  // params holds the route params, query and body with secrets redacted.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT,
+      action TEXT NOT NULL,
+      repo TEXT,
+      params TEXT,
+      status INTEGER,
+      result TEXT NOT NULL,
+      error TEXT,
+      ip TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)');
+
+  // Git host credentials. secret is the token encrypted by credentials.js;
+  // repo = '' applies to every repo on the host.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS credentials (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      host TEXT NOT NULL,
+      type TEXT NOT NULL,
+      repo TEXT NOT NULL DEFAULT '',
+      username TEXT,
+      secret TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      UNIQUE (host, repo)
+    )
+  `);
+
+  // Prompt templates (prompts.js), one row per saved version. repo = '' is the
+  // server-wide template. At most one version per kind and repo is active;
+  // without one, the server-wide (then built-in) template applies.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      repo TEXT NOT NULL DEFAULT '',
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 0,
+      createdBy TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      UNIQUE (kind, repo, version)
+    )
+  `);
+
+  // PRD revisions per repo. status 'saved' rows are the prd.json versions the
+  // server wrote to the checkout, newest last, so any can be restored. A
+  // manager's PRD lands as a 'draft' until it is 'approved' or 'rejected'.
+  // source: manager | api | checkout | ralph | approve | merge | rollback.
+  // fromRevision is the draft an approval came from, or the revision restored.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS prd_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repo TEXT NOT NULL,
+      status TEXT NOT NULL,
+      source TEXT NOT NULL,
+      prd TEXT NOT NULL,
+      jobId INTEGER,
+      fromRevision INTEGER,
+      createdBy TEXT,
+      decidedBy TEXT,
+      decided_at INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_prd_revisions_repo ON prd_revisions (repo, status)');
+  // Which of the repo's PRDs a revision or draft belongs to
+  ensureColumn('prd_revisions', 'prdId', "TEXT NOT NULL DEFAULT 'default'");
+
   console.log('Database initialized successfully');
 }
 
+// Add a column to an existing table (databases created by older versions)
+function ensureColumn(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 function createJob(job) {
     if (!db) throw new Error('Database not initialized');
     const stmt = db.prepare(`
-        INSERT INTO jobs (repo, type, status, iterations, startTime, cost)
-        VALUES (@repo, @type, @status, @iterations, @startTime, @cost)
+        INSERT INTO jobs (repo, type, status, iterations, startTime, cost, request, maxIterations, tool, model, pauseSeconds, maxStoryAttempts, escalate, onFailure, openPr, issue, prdId)
+        VALUES (@repo, @type, @status, @iterations, @startTime, @cost, @request, @maxIterations, @tool, @model, @pauseSeconds, @maxStoryAttempts, @escalate, @onFailure, @openPr, @issue, @prdId)
     `);
     const info = stmt.run({
         repo: job.repo,
@@ -64,9 +297,20 @@ function createJob(job) {
         status: job.status,
         iterations: job.iterations || 0,
         startTime: job.startTime || Date.now(),
-        cost: job.cost || 0
+        cost: job.cost || 0,
+        request: job.request || null,
+        maxIterations: job.maxIterations || null,
+        tool: job.tool || null,
+        model: job.model || null,
+        pauseSeconds: job.pauseSeconds !== undefined ? job.pauseSeconds : null,
+        maxStoryAttempts: job.maxStoryAttempts || null,
+        escalate: job.escalate !== undefined ? (job.escalate ? 1 : 0) : null,
+        onFailure: job.onFailure || null,
+        openPr: job.openPr !== undefined ? (job.openPr ? 1 : 0) : null,
+        issue: job.issue || null,
+        prdId: job.prdId || null
     });
-    return { ...job, id: info.lastInsertRowid };
+    return getJob(info.lastInsertRowid);
 }
 
 function updateJob(id, updates) {
@@ -94,8 +338,9 @@ function getJobs() {
 function addRepo(repo) {
     if (!db) throw new Error('Database not initialized');
     const stmt = db.prepare(`
-        INSERT OR REPLACE INTO repos (name, path, url)
+        INSERT INTO repos (name, path, url)
         VALUES (@name, @path, @url)
+        ON CONFLICT(name) DO UPDATE SET path = excluded.path, url = excluded.url
     `);
     stmt.run({
         name: repo.name,
@@ -104,16 +349,39 @@ function addRepo(repo) {
     });
 }
 
+function parseRepo(row) {
+    if (!row) return row;
+    return { ...row, checks: row.checks ? JSON.parse(row.checks) : [] };
+}
+
 function getRepo(name) {
     if (!db) throw new Error('Database not initialized');
     const stmt = db.prepare('SELECT * FROM repos WHERE name = ?');
-    return stmt.get(name);
+    return parseRepo(stmt.get(name));
 }
 
 function getRepos() {
     if (!db) throw new Error('Database not initialized');
     const stmt = db.prepare('SELECT * FROM repos ORDER BY name ASC');
-    return stmt.all();
+    return stmt.all().map(parseRepo);
+}
+
+function setRepoChecks(name, checks) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('UPDATE repos SET checks = ? WHERE name = ?');
+    return stmt.run(JSON.stringify(checks), name).changes > 0;
+}
+
+function setRepoAgent(name, agent, model) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('UPDATE repos SET agent = ?, agentModel = ? WHERE name = ?');
+    return stmt.run(agent || null, model || null, name).changes > 0;
+}
+
+function setRepoConventions(name, conventions) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('UPDATE repos SET conventions = ? WHERE name = ?');
+    return stmt.run(conventions || null, name).changes > 0;
 }
 
 function deleteRepo(name) {
@@ -122,8 +390,567 @@ function deleteRepo(name) {
     stmt.run(name);
 }
 
+function addUsage(usage) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO usage (jobId, iteration, model, input_tokens, output_tokens,
+            cache_creation_input_tokens, cache_read_input_tokens, cost)
+        VALUES (@jobId, @iteration, @model, @input_tokens, @output_tokens,
+            @cache_creation_input_tokens, @cache_read_input_tokens, @cost)
+    `);
+    const row = {
+        jobId: usage.jobId,
+        iteration: usage.iteration || 0,
+        model: usage.model || null,
+        input_tokens: usage.input_tokens || 0,
+        output_tokens: usage.output_tokens || 0,
+        cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+        cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+        cost: usage.cost || 0
+    };
+    const info = stmt.run(row);
+    return { ...row, id: info.lastInsertRowid };
+}
+
+function getJobUsage(jobId) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT * FROM usage WHERE jobId = ? ORDER BY id ASC');
+    return stmt.all(jobId);
+}
+
+function getJobCost(jobId) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT COALESCE(SUM(cost), 0) AS total FROM usage WHERE jobId = ?');
+    return stmt.get(jobId).total;
+}
+
+// Usage totals grouped by model, optionally since a timestamp
+function getUsageSummary(since = 0) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        SELECT model,
+            COUNT(*) AS calls,
+            SUM(input_tokens) AS input_tokens,
+            SUM(output_tokens) AS output_tokens,
+            SUM(cache_creation_input_tokens) AS cache_creation_input_tokens,
+            SUM(cache_read_input_tokens) AS cache_read_input_tokens,
+            SUM(cost) AS cost
+        FROM usage
+        WHERE created_at >= ?
+        GROUP BY model
+        ORDER BY cost DESC
+    `);
+    return stmt.all(since);
+}
+
+function addJobEvent(event) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO job_events (jobId, type, iteration, storyId, data, created_at)
+        VALUES (@jobId, @type, @iteration, @storyId, @data, @created_at)
+    `);
+    const row = {
+        jobId: event.jobId,
+        type: event.type,
+        iteration: event.iteration ?? null,
+        storyId: event.storyId || null,
+        data: JSON.stringify(event.data || {}),
+        created_at: Date.now()
+    };
+    const info = stmt.run(row);
+    return { ...row, id: info.lastInsertRowid, data: event.data || {} };
+}
+
+// Events for a job in order; filters: { type, after: <event id> }
+function getJobEvents(jobId, filters = {}) {
+    if (!db) throw new Error('Database not initialized');
+    let sql = 'SELECT * FROM job_events WHERE jobId = @jobId';
+    if (filters.type) sql += ' AND type = @type';
+    if (filters.after) sql += ' AND id > @after';
+    sql += ' ORDER BY id ASC';
+
+    const stmt = db.prepare(sql);
+    return stmt.all({ jobId, type: filters.type, after: filters.after }).map(row => ({
+        ...row,
+        data: row.data ? JSON.parse(row.data) : {}
+    }));
+}
+
+function addStoryHistory(entry) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO story_history (repo, branch, storyId, title, event, passes, jobId, iteration, commitHash, source, created_at)
+        VALUES (@repo, @branch, @storyId, @title, @event, @passes, @jobId, @iteration, @commitHash, @source, @created_at)
+    `);
+    const row = {
+        repo: entry.repo,
+        branch: entry.branch || '',
+        storyId: entry.storyId,
+        title: entry.title || null,
+        event: entry.event,
+        passes: entry.passes === undefined || entry.passes === null ? null : (entry.passes ? 1 : 0),
+        jobId: entry.jobId || null,
+        iteration: entry.iteration ?? null,
+        commitHash: entry.commitHash || null,
+        source: entry.source || null,
+        created_at: Date.now()
+    };
+    const info = stmt.run(row);
+    return { ...row, id: info.lastInsertRowid };
+}
+
+// History rows for a repo, oldest first; branch limits it to one PRD
+function getStoryHistory(repo, branch) {
+    if (!db) throw new Error('Database not initialized');
+    if (branch !== undefined) {
+        const stmt = db.prepare('SELECT * FROM story_history WHERE repo = ? AND branch = ? ORDER BY id ASC');
+        return stmt.all(repo, branch);
+    }
+    const stmt = db.prepare('SELECT * FROM story_history WHERE repo = ? ORDER BY id ASC');
+    return stmt.all(repo);
+}
+
+// Last recorded passes flag per story id for a repo PRD
+function getStoryStates(repo, branch) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        SELECT storyId, passes FROM story_history
+        WHERE id IN (
+            SELECT MAX(id) FROM story_history
+            WHERE repo = ? AND branch = ? AND passes IS NOT NULL
+            GROUP BY storyId
+        )
+    `);
+    const states = {};
+    stmt.all(repo, branch).forEach(row => { states[row.storyId] = row.passes === 1; });
+    return states;
+}
+
+function getIterationCost(jobId, iteration) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT COALESCE(SUM(cost), 0) AS total FROM usage WHERE jobId = ? AND iteration = ?');
+    return stmt.get(jobId, iteration).total;
+}
+
+// Total usage cost since a timestamp, optionally limited to one repo's jobs
+function getSpendSince(since, repo) {
+    if (!db) throw new Error('Database not initialized');
+    if (repo) {
+        const stmt = db.prepare(`
+            SELECT COALESCE(SUM(u.cost), 0) AS total
+            FROM usage u JOIN jobs j ON j.id = u.jobId
+            WHERE u.created_at >= ? AND j.repo = ?
+        `);
+        return stmt.get(since, repo).total;
+    }
+    const stmt = db.prepare('SELECT COALESCE(SUM(cost), 0) AS total FROM usage WHERE created_at >= ?');
+    return stmt.get(since).total;
+}
+
+function getBudgets() {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT * FROM budgets ORDER BY scope ASC, repo ASC');
+    return stmt.all();
+}
+
+function getBudget(scope, repo = '') {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT * FROM budgets WHERE scope = ? AND repo = ?');
+    return stmt.get(scope, repo);
+}
+
+function setBudget(scope, repo, amount) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT OR REPLACE INTO budgets (scope, repo, amount, updated_at)
+        VALUES (@scope, @repo, @amount, @updated_at)
+    `);
+    stmt.run({ scope, repo: repo || '', amount, updated_at: Date.now() });
+}
+
+function deleteBudget(scope, repo = '') {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('DELETE FROM budgets WHERE scope = ? AND repo = ?');
+    return stmt.run(scope, repo).changes > 0;
+}
+
+// Insert or update a pull request by (repo, number)
+function savePullRequest(pr) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO pull_requests (repo, number, branch, base, title, url, state, headSha, jobId, updated_at)
+        VALUES (@repo, @number, @branch, @base, @title, @url, @state, @headSha, @jobId, @updated_at)
+        ON CONFLICT (repo, number) DO UPDATE SET
+            branch = excluded.branch, base = excluded.base, title = excluded.title, url = excluded.url,
+            state = excluded.state, headSha = excluded.headSha,
+            jobId = COALESCE(excluded.jobId, pull_requests.jobId), updated_at = excluded.updated_at
+    `);
+    stmt.run({
+        repo: pr.repo,
+        number: pr.number,
+        branch: pr.branch,
+        base: pr.base || null,
+        title: pr.title || null,
+        url: pr.url || null,
+        state: pr.state || 'open',
+        headSha: pr.headSha || null,
+        jobId: pr.jobId || null,
+        updated_at: Date.now()
+    });
+    return getPullRequest(pr.repo, pr.number);
+}
+
+function updatePullRequest(repo, number, updates) {
+    if (!db) throw new Error('Database not initialized');
+    const keys = Object.keys(updates).filter(k => !['id', 'repo', 'number'].includes(k));
+    const setClause = keys.map(k => `${k} = @${k}`).concat('updated_at = @updated_at').join(', ');
+    const stmt = db.prepare(`UPDATE pull_requests SET ${setClause} WHERE repo = @repo AND number = @number`);
+    stmt.run({ ...updates, updated_at: Date.now(), repo, number });
+    return getPullRequest(repo, number);
+}
+
+function getPullRequest(repo, number) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT * FROM pull_requests WHERE repo = ? AND number = ?');
+    return stmt.get(repo, number);
+}
+
+// Pull requests newest first, for one repo or all; state limits to open/closed/merged
+function getPullRequests(repo, state) {
+    if (!db) throw new Error('Database not initialized');
+    let sql = 'SELECT * FROM pull_requests WHERE 1 = 1';
+    if (repo) sql += ' AND repo = @repo';
+    if (state) sql += ' AND state = @state';
+    sql += ' ORDER BY id DESC';
+    return db.prepare(sql).all({ repo, state });
+}
+
+// Users are returned without passwordHash unless withPassword is set
+const USER_COLUMNS = 'id, username, role, created_at';
+
+function createUser(user) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('INSERT INTO users (username, passwordHash, role) VALUES (@username, @passwordHash, @role)');
+    const info = stmt.run(user);
+    return getUser(info.lastInsertRowid);
+}
+
+function getUser(id) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id);
+}
+
+function getUserByUsername(username, withPassword = false) {
+    if (!db) throw new Error('Database not initialized');
+    const columns = withPassword ? '*' : USER_COLUMNS;
+    return db.prepare(`SELECT ${columns} FROM users WHERE username = ?`).get(username);
+}
+
+function getUserPasswordHash(id) {
+    if (!db) throw new Error('Database not initialized');
+    const row = db.prepare('SELECT passwordHash FROM users WHERE id = ?').get(id);
+    return row ? row.passwordHash : null;
+}
+
+function getUsers() {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY id ASC`).all();
+}
+
+function countUsers(role) {
+    if (!db) throw new Error('Database not initialized');
+    if (role) {
+        return db.prepare('SELECT COUNT(*) AS n FROM users WHERE role = ?').get(role).n;
+    }
+    return db.prepare('SELECT COUNT(*) AS n FROM users').get().n;
+}
+
+// updates: { role?, passwordHash? }
+function updateUser(id, updates) {
+    if (!db) throw new Error('Database not initialized');
+    const keys = Object.keys(updates).filter(k => ['role', 'passwordHash'].includes(k));
+    if (keys.length === 0) return getUser(id);
+
+    const setClause = keys.map(k => `${k} = @${k}`).join(', ');
+    db.prepare(`UPDATE users SET ${setClause} WHERE id = @id`).run({ ...updates, id });
+    return getUser(id);
+}
+
+// Removes the user with their sessions and API tokens
+function deleteUser(id) {
+    if (!db) throw new Error('Database not initialized');
+    return db.transaction(() => {
+        db.prepare('DELETE FROM sessions WHERE userId = ?').run(id);
+        db.prepare('DELETE FROM api_tokens WHERE userId = ?').run(id);
+        return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    })();
+}
+
+function createSession(tokenHash, userId, expiresAt) {
+    if (!db) throw new Error('Database not initialized');
+    db.prepare('DELETE FROM sessions WHERE expiresAt < ?').run(Date.now());
+    db.prepare('INSERT INTO sessions (tokenHash, userId, expiresAt) VALUES (?, ?, ?)').run(tokenHash, userId, expiresAt);
+}
+
+// Unexpired session by token hash
+function getSession(tokenHash) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare('SELECT * FROM sessions WHERE tokenHash = ? AND expiresAt > ?').get(tokenHash, Date.now());
+}
+
+function deleteSession(tokenHash) {
+    if (!db) throw new Error('Database not initialized');
+    db.prepare('DELETE FROM sessions WHERE tokenHash = ?').run(tokenHash);
+}
+
+// Sign a user out everywhere, optionally keeping one session
+function deleteUserSessions(userId, exceptTokenHash = null) {
+    if (!db) throw new Error('Database not initialized');
+    db.prepare('DELETE FROM sessions WHERE userId = ? AND tokenHash IS NOT ?').run(userId, exceptTokenHash);
+}
+
+function createApiToken(token) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('INSERT INTO api_tokens (userId, name, tokenHash) VALUES (@userId, @name, @tokenHash)');
+    const info = stmt.run(token);
+    return db.prepare('SELECT id, userId, name, lastUsedAt, created_at FROM api_tokens WHERE id = ?').get(info.lastInsertRowid);
+}
+
+// Look up a token by hash and record that it was used
+function useApiToken(tokenHash) {
+    if (!db) throw new Error('Database not initialized');
+    const token = db.prepare('SELECT * FROM api_tokens WHERE tokenHash = ?').get(tokenHash);
+    if (token) {
+        db.prepare('UPDATE api_tokens SET lastUsedAt = ? WHERE id = ?').run(Date.now(), token.id);
+    }
+    return token;
+}
+
+// API tokens of one user, or of everyone when userId is omitted
+function getApiTokens(userId) {
+    if (!db) throw new Error('Database not initialized');
+    const sql = `
+        SELECT t.id, t.userId, u.username, t.name, t.lastUsedAt, t.created_at
+        FROM api_tokens t JOIN users u ON u.id = t.userId
+        ${userId !== undefined ? 'WHERE t.userId = ?' : ''}
+        ORDER BY t.id ASC
+    `;
+    const stmt = db.prepare(sql);
+    return userId !== undefined ? stmt.all(userId) : stmt.all();
+}
+
+function getApiToken(id) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare('SELECT id, userId, name, lastUsedAt, created_at FROM api_tokens WHERE id = ?').get(id);
+}
+
+function deleteApiToken(id) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare('DELETE FROM api_tokens WHERE id = ?').run(id).changes > 0;
+}
+
+function addAuditEntry(entry) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO audit_log (actor, action, repo, params, status, result, error, ip, created_at)
+        VALUES (@actor, @action, @repo, @params, @status, @result, @error, @ip, @created_at)
+    `);
+    stmt.run({
+        actor: entry.actor || null,
+        action: entry.action,
+        repo: entry.repo || null,
+        params: JSON.stringify(entry.params || {}),
+        status: entry.status ?? null,
+        result: entry.result,
+        error: entry.error || null,
+        ip: entry.ip || null,
+        created_at: Date.now()
+    });
+}
+
+// Audit entries newest first. filters: { actor, action (substring), repo,
+// result, since, until (ms timestamps), before (entry id, for paging), limit }
+function getAuditLog(filters = {}) {
+    if (!db) throw new Error('Database not initialized');
+    const conditions = [];
+    if (filters.actor) conditions.push('actor = @actor');
+    if (filters.action) conditions.push("action LIKE '%' || @action || '%'");
+    if (filters.repo) conditions.push('repo = @repo');
+    if (filters.result) conditions.push('result = @result');
+    if (filters.since) conditions.push('created_at >= @since');
+    if (filters.until) conditions.push('created_at <= @until');
+    if (filters.before) conditions.push('id < @before');
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const stmt = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT @limit`);
+    return stmt.all({ ...filters, limit: filters.limit || 100 }).map(row => ({
+        ...row,
+        params: row.params ? JSON.parse(row.params) : {}
+    }));
+}
+
+// Insert or replace the credential for (host, repo)
+function saveCredential(credential) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO credentials (host, type, repo, username, secret)
+        VALUES (@host, @type, @repo, @username, @secret)
+        ON CONFLICT (host, repo) DO UPDATE SET
+            type = excluded.type, username = excluded.username, secret = excluded.secret,
+            updated_at = strftime('%s', 'now') * 1000
+    `);
+    stmt.run({
+        host: credential.host,
+        type: credential.type,
+        repo: credential.repo || '',
+        username: credential.username || null,
+        secret: credential.secret
+    });
+    return db.prepare('SELECT id, host, type, repo, username, created_at, updated_at FROM credentials WHERE host = ? AND repo = ?')
+        .get(credential.host, credential.repo || '');
+}
+
+// Credentials without their secret unless withSecrets
+function getCredentials(withSecrets = false) {
+    if (!db) throw new Error('Database not initialized');
+    const columns = withSecrets ? '*' : 'id, host, type, repo, username, created_at, updated_at';
+    return db.prepare(`SELECT ${columns} FROM credentials ORDER BY host, repo`).all();
+}
+
+function getCredential(id) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare('SELECT * FROM credentials WHERE id = ?').get(id);
+}
+
+// The credential for a repo on a host: its own, else the host's default
+function findCredential(host, repo) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare(`
+        SELECT * FROM credentials WHERE host = ? AND repo IN (?, '')
+        ORDER BY repo = '' LIMIT 1
+    `).get(host, repo || '');
+}
+
+function deleteCredential(id) {
+    if (!db) throw new Error('Database not initialized');
+    return db.prepare('DELETE FROM credentials WHERE id = ?').run(id).changes > 0;
+}
+
+// Save a template as the next version for its kind and repo and make it active
+function addPromptTemplate(template) {
+    if (!db) throw new Error('Database not initialized');
+    const repo = template.repo || '';
+    return db.transaction(() => {
+        const { latest } = db.prepare('SELECT MAX(version) AS latest FROM prompt_templates WHERE kind = ? AND repo = ?')
+            .get(template.kind, repo);
+        db.prepare('UPDATE prompt_templates SET active = 0 WHERE kind = ? AND repo = ?').run(template.kind, repo);
+        const info = db.prepare(`
+            INSERT INTO prompt_templates (kind, repo, version, body, active, createdBy)
+            VALUES (?, ?, ?, ?, 1, ?)
+        `).run(template.kind, repo, (latest || 0) + 1, template.body, template.createdBy || null);
+        return db.prepare('SELECT * FROM prompt_templates WHERE id = ?').get(info.lastInsertRowid);
+    })();
+}
+
+// Every version of a kind for one repo ('' for the server-wide ones), newest first
+function getPromptTemplates(kind, repo = '') {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT * FROM prompt_templates WHERE kind = ? AND repo = ? ORDER BY version DESC');
+    return stmt.all(kind, repo);
+}
+
+// The template a repo's jobs use: its own active version, else the active
+// server-wide one, else undefined (built-in)
+function getActivePromptTemplate(kind, repo = '') {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        SELECT * FROM prompt_templates WHERE kind = ? AND repo IN (?, '') AND active = 1
+        ORDER BY repo = '' ASC LIMIT 1
+    `);
+    return stmt.get(kind, repo);
+}
+
+// Make one version active, or none (version null) to fall back to the
+// server-wide or built-in template. False if the version doesn't exist.
+function activatePromptTemplate(kind, repo, version) {
+    if (!db) throw new Error('Database not initialized');
+    return db.transaction(() => {
+        if (version !== null &&
+            !db.prepare('SELECT 1 FROM prompt_templates WHERE kind = ? AND repo = ? AND version = ?').get(kind, repo || '', version)) {
+            return false;
+        }
+        db.prepare('UPDATE prompt_templates SET active = CASE WHEN version = ? THEN 1 ELSE 0 END WHERE kind = ? AND repo = ?')
+            .run(version, kind, repo || '');
+        return true;
+    })();
+}
+
+function parsePrdRevision(row) {
+    if (!row) return row;
+    return { ...row, prd: JSON.parse(row.prd) };
+}
+
+function addPrdRevision(revision) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        INSERT INTO prd_revisions (repo, prdId, status, source, prd, jobId, fromRevision, createdBy)
+        VALUES (@repo, @prdId, @status, @source, @prd, @jobId, @fromRevision, @createdBy)
+    `);
+    const info = stmt.run({
+        repo: revision.repo,
+        prdId: revision.prdId,
+        status: revision.status,
+        source: revision.source,
+        prd: JSON.stringify(revision.prd),
+        jobId: revision.jobId || null,
+        fromRevision: revision.fromRevision || null,
+        createdBy: revision.createdBy || null
+    });
+    return getPrdRevision(info.lastInsertRowid);
+}
+
+function getPrdRevision(id) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare('SELECT * FROM prd_revisions WHERE id = ?');
+    return parsePrdRevision(stmt.get(id));
+}
+
+// A repo's revisions with one of the given statuses, newest first,
+// optionally of one PRD only
+function getPrdRevisions(repo, statuses, prdId) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        SELECT * FROM prd_revisions
+        WHERE repo = ? AND status IN (${statuses.map(() => '?').join(', ')})${prdId ? ' AND prdId = ?' : ''}
+        ORDER BY id DESC
+    `);
+    return stmt.all(repo, ...statuses, ...(prdId ? [prdId] : [])).map(parsePrdRevision);
+}
+
+function getLatestPrdRevision(repo, prdId) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare("SELECT * FROM prd_revisions WHERE repo = ? AND prdId = ? AND status = 'saved' ORDER BY id DESC LIMIT 1");
+    return parsePrdRevision(stmt.get(repo, prdId));
+}
+
+// Approve or reject a draft. False if it isn't a pending draft any more.
+function decidePrdDraft(id, status, decidedBy) {
+    if (!db) throw new Error('Database not initialized');
+    const stmt = db.prepare(`
+        UPDATE prd_revisions SET status = ?, decidedBy = ?, decided_at = ?
+        WHERE id = ? AND status = 'draft'
+    `);
+    return stmt.run(status, decidedBy || null, Date.now(), id).changes > 0;
+}
+
+// Directory holding ralph.db (and the credentials key), once init() ran
+function getDataDir() {
+    return dataDir;
+}
+
 module.exports = {
     init,
+    getDataDir,
     createJob,
     updateJob,
     getJob,
@@ -131,5 +958,60 @@ module.exports = {
     addRepo,
     getRepo,
     getRepos,
-    deleteRepo
+    setRepoChecks,
+    setRepoAgent,
+    setRepoConventions,
+    deleteRepo,
+    addUsage,
+    getJobUsage,
+    getJobCost,
+    getUsageSummary,
+    addJobEvent,
+    getJobEvents,
+    addStoryHistory,
+    getStoryHistory,
+    getStoryStates,
+    getIterationCost,
+    getSpendSince,
+    getBudgets,
+    getBudget,
+    setBudget,
+    deleteBudget,
+    savePullRequest,
+    updatePullRequest,
+    getPullRequest,
+    getPullRequests,
+    createUser,
+    getUser,
+    getUserByUsername,
+    getUserPasswordHash,
+    getUsers,
+    countUsers,
+    updateUser,
+    deleteUser,
+    createSession,
+    getSession,
+    deleteSession,
+    deleteUserSessions,
+    createApiToken,
+    useApiToken,
+    getApiTokens,
+    getApiToken,
+    deleteApiToken,
+    addAuditEntry,
+    getAuditLog,
+    saveCredential,
+    getCredentials,
+    getCredential,
+    findCredential,
+    deleteCredential,
+    addPromptTemplate,
+    getPromptTemplates,
+    getActivePromptTemplate,
+    activatePromptTemplate,
+    addPrdRevision,
+    getPrdRevision,
+    getPrdRevisions,
+    getLatestPrdRevision,
+    decidePrdDraft
 };
@@ -0,0 +1,210 @@
+// Git for the dashboard: commands run through execFile with argument arrays
+// (never a shell), and repo names, branches, paths and clone URLs from
+// requests are validated before they reach git.
+const { execFile } = require('child_process');
+const path = require('path');
+const { scrub } = require('./credentials');
+
+// Request input git should not run with. statusCode is the HTTP status to
+// answer with.
+class GitInputError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'GitInputError';
+    this.field = field;
+    this.statusCode = 400;
+  }
+}
+
+// A git command that ran and failed. The message is git's stderr with
+// tokens removed.
+class GitError extends Error {
+  constructor(message, command, exitCode, stderr) {
+    super(message);
+    this.name = 'GitError';
+    this.command = command;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    this.statusCode = 500;
+  }
+}
+
+// Run git in cwd. Resolves { stdout, stderr } (trimmed), rejects GitError.
+// options.env is added to the environment (credentials.helperEnv()).
+// Credential prompts are disabled so a missing login fails instead of hanging.
+function run(cwd, args, options = {}) {
+  if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+    return Promise.reject(new TypeError('git arguments must be an array of strings'));
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      maxBuffer: 10 * 1024 * 1024,
+      timeout: options.timeout || 0,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...options.env }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const reason = stderr.trim() || (error.killed ? 'timed out' : `exit code ${error.code}`);
+        reject(new GitError(scrub(reason), args[0], typeof error.code === 'number' ? error.code : null, scrub(stderr.trim())));
+      } else {
+        resolve({ stdout: stdout.trim(), stderr: stderr.trim() });
+      }
+    });
+  });
+}
+
+// A directory name under REPOS_DIR: letters, digits, '.', '_' and '-', and
+// not '.' or '..'
+function assertRepoName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9._-]{1,100}$/.test(name) || /^\.+$/.test(name)) {
+    throw new GitInputError(`Invalid repository name: ${JSON.stringify(String(name)).slice(0, 120)}`, 'repo');
+  }
+  return name;
+}
+
+// Absolute path of a repository, which must stay inside reposDir
+function resolveRepoPath(reposDir, name) {
+  assertRepoName(name);
+  const root = path.resolve(reposDir);
+  const repoPath = path.resolve(root, name);
+  if (path.dirname(repoPath) !== root) {
+    throw new GitInputError(`Invalid repository name: ${name}`, 'repo');
+  }
+  return repoPath;
+}
+
+// Branch names by the rules of git check-ref-format, never starting with '-'
+// so they cannot be read as options, and without shell metacharacters since
+// the loop scripts pass them on
+function assertRef(name, field = 'branch') {
+  const invalid = typeof name !== 'string' ||
+    name.length === 0 || name.length > 255 ||
+    name.startsWith('-') || name === '@' ||
+    /[\x00-\x20\x7f~^:?*[\\$`|&;<>()'"!]/.test(name) ||
+    name.includes('..') || name.includes('@{') || name.includes('//') ||
+    name.startsWith('/') || name.endsWith('/') || name.endsWith('.') || name.endsWith('.lock') ||
+    name.split('/').some(part => part.startsWith('.') || part.endsWith('.lock'));
+  if (invalid) {
+    throw new GitInputError(`Invalid ${field} name: ${JSON.stringify(String(name)).slice(0, 120)}`, field);
+  }
+  return name;
+}
+
+// Paths to stage, relative to the repository and inside it
+function assertPaths(repoPath, files) {
+  if (!Array.isArray(files)) {
+    throw new GitInputError('files must be an array of paths', 'files');
+  }
+  const root = path.resolve(repoPath);
+  files.forEach(file => {
+    const resolved = typeof file === 'string' && file.length > 0 && !file.includes('\0') && !path.isAbsolute(file)
+      ? path.resolve(root, file)
+      : null;
+    if (!resolved || (resolved !== root && !resolved.startsWith(root + path.sep)) || resolved.split(path.sep).includes('.git')) {
+      throw new GitInputError(`Invalid file path: ${JSON.stringify(String(file)).slice(0, 120)}`, 'files');
+    }
+  });
+  return files;
+}
+
+// Transports git may use for remote clones (GIT_ALLOW_PROTOCOL), so a
+// redirect or submodule can't reach the server's own files either
+const REMOTE_PROTOCOLS = 'https:http:ssh:git';
+
+// An https, http, ssh or git URL whose user and host can't be read as
+// options by ssh
+function isRemoteUrl(url) {
+  if (!/^(https?|ssh|git):\/\//i.test(url)) return false;
+  try {
+    const parsed = new URL(url);
+    return /^[A-Za-z0-9[]/.test(parsed.hostname) && !parsed.username.startsWith('-');
+  } catch (e) {
+    return false;
+  }
+}
+
+// Remote URLs git may clone from: https, http, ssh and git URLs and
+// scp-style 'user@host:path'. Transports that run commands (ext::) and
+// anything that looks like an option are refused. file:// URLs and absolute
+// local paths would let a request clone any repository on the server, so
+// they need allowLocal (ALLOW_LOCAL_CLONES).
+function assertCloneUrl(url, allowLocal = false) {
+  const valid = typeof url === 'string' && url.length <= 2048 && !/[\s\x00-\x1f]/.test(url) && (
+    isRemoteUrl(url) ||
+    /^[A-Za-z0-9][A-Za-z0-9._-]*@[A-Za-z0-9][A-Za-z0-9.-]*:[^-]/.test(url) ||
+    (allowLocal && (/^file:\/\/\/[^/]/i.test(url) || /^\/[^/]/.test(url)))
+  );
+  if (!valid) {
+    throw new GitInputError(allowLocal
+      ? 'URL must be an https, http, ssh, git or file URL, user@host:path or an absolute path'
+      : 'URL must be an https, http, ssh or git URL or user@host:path', 'url');
+  }
+  return url;
+}
+
+// Repository name for a clone URL: its last path segment without '.git'
+function repoNameFromUrl(url) {
+  const last = url.replace(/\/+$/, '').split(/[/:]/).pop().replace(/\.git$/, '');
+  return assertRepoName(last);
+}
+
+async function currentBranch(repoPath) {
+  return (await run(repoPath, ['branch', '--show-current'])).stdout;
+}
+
+async function checkout(repoPath, branch, create = false) {
+  assertRef(branch);
+  await run(repoPath, create ? ['checkout', '-b', branch] : ['checkout', branch, '--']);
+}
+
+// Stage files (everything if none are given) and commit them. Returns the
+// short hash of the new commit, or null if nothing was staged.
+async function commit(repoPath, message, files = []) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new GitInputError('Commit message required', 'message');
+  }
+
+  if (files.length > 0) {
+    await run(repoPath, ['add', '--', ...assertPaths(repoPath, files)]);
+  } else {
+    await run(repoPath, ['add', '-A']);
+  }
+
+  const staged = await run(repoPath, ['diff', '--cached', '--name-only']);
+  if (!staged.stdout) return null;
+
+  await run(repoPath, ['commit', '-q', '-m', message]);
+  return (await run(repoPath, ['rev-parse', '--short', 'HEAD'])).stdout;
+}
+
+// Push branch to remote (a remote name or URL)
+async function push(repoPath, remote, branch, setUpstream = false, env = {}) {
+  assertRef(branch);
+  await run(repoPath, setUpstream ? ['push', '-u', remote, branch] : ['push', remote, branch], { env });
+}
+
+// Clone url into dest (checked by the caller with resolveRepoPath).
+// options: { env, allowLocal } - see assertCloneUrl
+async function clone(url, dest, { env = {}, allowLocal = false } = {}) {
+  assertCloneUrl(url, allowLocal);
+  const protocols = allowLocal ? {} : { GIT_ALLOW_PROTOCOL: REMOTE_PROTOCOLS };
+  await run(path.dirname(dest), ['clone', '--', url, dest], { env: { ...env, ...protocols } });
+}
+
+module.exports = {
+  GitError,
+  GitInputError,
+  run,
+  assertRepoName,
+  resolveRepoPath,
+  assertRef,
+  assertPaths,
+  assertCloneUrl,
+  repoNameFromUrl,
+  currentBranch,
+  checkout,
+  commit,
+  push,
+  clone
+};
@@ -0,0 +1,163 @@
+// Learnings in progress.txt. ralph.sh files what the agent appends during an
+// iteration under a heading naming the story and iteration:
+//
+//   ## [story-2] iteration 7
+//   ## [story-3] iteration 9 (pinned)
+//   ## [summary] iteration 12      <- compacted older entries
+//
+// Text before the first heading other than the "# Progress Log" header is
+// kept as a [notes] entry. Anything else, including headings the agent
+// writes, belongs to the entry above it.
+const crypto = require('crypto');
+
+// Compaction starts once progress.txt is larger than this, keeping pinned
+// entries and the most recent ones as they are
+const MAX_BYTES = parseInt(process.env.PROGRESS_MAX_BYTES) || 16 * 1024;
+const KEEP_RECENT = parseInt(process.env.PROGRESS_KEEP_ENTRIES) || 10;
+const MAX_SUMMARY_LINE = 160;
+
+// The summary gets a quarter of the file's budget. Lines that don't fit are
+// dropped, oldest first, and are only left in git history.
+function summaryMaxBytes(maxBytes = MAX_BYTES) {
+  return Math.floor(maxBytes / 4);
+}
+
+const HEADING = /^## \[([^\]\n]+)\](?: iteration (\d+))?( \(pinned\))?[ \t]*$/;
+const HEADER_LINE = /^(# Progress Log|Created: .*)$/;
+
+// Stable id of an entry, from its story, iteration and text
+function entryId(entry) {
+  const hash = crypto.createHash('sha1')
+    .update(`${entry.tag}\n${entry.iteration || ''}\n${entry.text.trim()}`)
+    .digest('hex');
+  return hash.slice(0, 8);
+}
+
+function makeEntry(tag, iteration, pinned, text) {
+  const entry = { tag, iteration, pinned, text: text.replace(/^\n+|\s+$/g, '') };
+  return {
+    ...entry,
+    id: entryId(entry),
+    storyId: ['notes', 'summary'].includes(tag) ? null : tag
+  };
+}
+
+// progress.txt -> { header, entries: [{ id, tag, storyId, iteration, pinned, text }] }
+function parse(text) {
+  const lines = String(text || '').split('\n');
+  const header = [];
+  const entries = [];
+  let current = null;
+  let notes = [];
+
+  lines.forEach(line => {
+    const heading = HEADING.exec(line);
+    if (heading) {
+      if (current) entries.push(makeEntry(current.tag, current.iteration, current.pinned, current.lines.join('\n')));
+      current = { tag: heading[1], iteration: heading[2] ? parseInt(heading[2]) : null, pinned: Boolean(heading[3]), lines: [] };
+    } else if (current) {
+      current.lines.push(line);
+    } else if (HEADER_LINE.test(line) && notes.every(l => !l.trim())) {
+      header.push(line);
+    } else {
+      notes.push(line);
+    }
+  });
+  if (current) entries.push(makeEntry(current.tag, current.iteration, current.pinned, current.lines.join('\n')));
+
+  if (notes.join('').trim()) {
+    entries.unshift(makeEntry('notes', null, false, notes.join('\n')));
+  }
+  return { header, entries };
+}
+
+function formatEntry(entry) {
+  const heading = `## [${entry.tag}]${entry.iteration ? ` iteration ${entry.iteration}` : ''}${entry.pinned ? ' (pinned)' : ''}`;
+  return entry.text ? `${heading}\n${entry.text}\n` : `${heading}\n`;
+}
+
+function format({ header, entries }) {
+  const top = header.length > 0 ? header.join('\n').trimEnd() + '\n' : '';
+  return [top, ...entries.map(formatEntry)].filter(Boolean).join('\n');
+}
+
+// File what was appended to progress.txt since `before` (its earlier
+// content) as an entry for the story and iteration. Returns
+// { text, entry }, or null if the file wasn't appended to (unchanged or
+// rewritten, which is left as it is).
+function recordAppended(before, after, storyId, iteration) {
+  if (!after.startsWith(before)) return null;
+  const appended = after.slice(before.length).replace(/^\n+|\s+$/g, '');
+  if (!appended) return null;
+
+  const entry = makeEntry(storyId, iteration, false, appended);
+  const separator = before && !before.endsWith('\n\n') ? (before.endsWith('\n') ? '\n' : '\n\n') : '';
+  return { text: before + separator + formatEntry(entry), entry };
+}
+
+// Lines of an entry worth keeping in a summary, prefixed with its story
+function summaryLines(entry) {
+  if (entry.tag === 'summary') {
+    return entry.text.split('\n').filter(line => line.startsWith('- ')).map(line => line.slice(2));
+  }
+  return entry.text.split('\n')
+    .map(line => line.trim().replace(/^[-*]\s+/, ''))
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('```'))
+    .map(line => {
+      const text = entry.storyId ? `[${entry.storyId}] ${line}` : line;
+      return text.length > MAX_SUMMARY_LINE ? `${text.slice(0, MAX_SUMMARY_LINE - 3)}...` : text;
+    });
+}
+
+// Fold older unpinned entries into one [summary] entry: one line per
+// learning, duplicates removed, the oldest dropped first to fit
+// summaryMaxBytes(maxBytes). Pinned entries and the keepRecent newest entries
+// stay as they are. Returns { doc, compacted, dropped } with the number of
+// entries folded and of summary lines dropped.
+function compact(doc, { maxBytes = MAX_BYTES, keepRecent = KEEP_RECENT, force = false } = {}) {
+  if (!force && Buffer.byteLength(format(doc)) <= maxBytes) {
+    return { doc, compacted: 0, dropped: 0 };
+  }
+
+  const unpinned = doc.entries.filter(entry => !entry.pinned);
+  const recent = new Set(unpinned.slice(Math.max(unpinned.length - keepRecent, 0)));
+  const old = unpinned.filter(entry => !recent.has(entry));
+  if (old.length === 0 || (old.length === 1 && old[0].tag === 'summary')) {
+    return { doc, compacted: 0, dropped: 0 };
+  }
+
+  const seen = new Set();
+  let lines = [];
+  old.forEach(entry => summaryLines(entry).forEach(line => {
+    const key = line.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      lines.push(line);
+    }
+  }));
+  const budget = summaryMaxBytes(maxBytes);
+  let dropped = 0;
+  while (lines.length > 1 && Buffer.byteLength(lines.join('\n')) > budget) {
+    lines = lines.slice(1);
+    dropped++;
+  }
+
+  const folded = old.reduce((n, entry) => n + (entry.tag === 'summary' ? 0 : 1), 0);
+  const iteration = Math.max(0, ...old.map(entry => entry.iteration || 0)) || null;
+  const summary = makeEntry('summary', iteration, false, lines.map(line => `- ${line}`).join('\n'));
+  return {
+    doc: { header: doc.header, entries: [summary, ...doc.entries.filter(entry => !old.includes(entry))] },
+    compacted: folded,
+    dropped
+  };
+}
+
+module.exports = {
+  MAX_BYTES,
+  KEEP_RECENT,
+  summaryMaxBytes,
+  parse,
+  format,
+  recordAppended,
+  compact
+};
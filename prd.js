@@ -0,0 +1,224 @@
+const Ajv = require('ajv');
+const schema = require('./prd.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+// A repo can hold several PRDs, each named by an id. The default one is the
+// checkout's own prd.json; the server keeps the others next to it.
+const DEFAULT_PRD_ID = 'default';
+const PRD_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Fields that can be changed on an existing story through the API
+const EDITABLE_STORY_FIELDS = ['title', 'description', 'acceptanceCriteria', 'priority', 'passes', 'blocked', 'dependsOn'];
+
+// '/userStories/0/priority' -> 'userStories[0].priority'
+function formatPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((acc, part) => /^\d+$/.test(part) ? `${acc}[${part}]` : (acc ? `${acc}.${part}` : part), '');
+}
+
+function formatError(err) {
+  let pointer = err.instancePath;
+  let message = err.message;
+
+  if (err.keyword === 'required') {
+    pointer += `/${err.params.missingProperty}`;
+    message = 'is required';
+  } else if (err.keyword === 'pattern') {
+    message = 'contains invalid characters';
+  } else if (err.keyword === 'minLength' && err.params.limit === 1) {
+    message = 'must not be empty';
+  } else if (err.keyword === 'minItems') {
+    message = `must have at least ${err.params.limit} item${err.params.limit === 1 ? '' : 's'}`;
+  }
+
+  return { field: formatPath(pointer) || '(root)', message };
+}
+
+// Validate a PRD document. Returns a list of { field, message }, empty when valid.
+function validatePrd(prd) {
+  if (!validateSchema(prd)) {
+    return validateSchema.errors.map(formatError);
+  }
+
+  // Story ids are used as keys by ralph.sh and the story history
+  const errors = [];
+  const seen = new Set();
+  prd.userStories.forEach((story, i) => {
+    if (seen.has(story.id)) {
+      errors.push({ field: `userStories[${i}].id`, message: `duplicates story id "${story.id}"` });
+    }
+    seen.add(story.id);
+  });
+
+  prd.userStories.forEach((story, i) => {
+    (story.dependsOn || []).forEach((dep, j) => {
+      if (dep === story.id) {
+        errors.push({ field: `userStories[${i}].dependsOn[${j}]`, message: 'cannot depend on the story itself' });
+      } else if (!seen.has(dep)) {
+        errors.push({ field: `userStories[${i}].dependsOn[${j}]`, message: `refers to unknown story "${dep}"` });
+      }
+    });
+  });
+
+  if (errors.length === 0) {
+    const cycle = findDependencyCycle(prd.userStories);
+    if (cycle) {
+      const i = prd.userStories.findIndex(story => story.id === cycle[0]);
+      errors.push({ field: `userStories[${i}].dependsOn`, message: `forms a cycle: ${cycle.join(' -> ')}` });
+    }
+  }
+  return errors;
+}
+
+// Depth-first search over dependsOn. Returns the ids along the first cycle
+// found (first id repeated at the end), or null.
+function findDependencyCycle(stories) {
+  const deps = new Map(stories.map(story => [story.id, story.dependsOn || []]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  function visit(id) {
+    if (state.get(id) === 'done' || !deps.has(id)) return null;
+    if (state.get(id) === 'visiting') {
+      return [...stack.slice(stack.indexOf(id)), id];
+    }
+
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of deps.get(id)) {
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  }
+
+  for (const id of deps.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Incomplete, unblocked stories whose dependencies have all passed, in the
+// order ralph.sh picks them up
+function getReadyStories(prd) {
+  const stories = Array.isArray(prd.userStories) ? prd.userStories.filter(Boolean) : [];
+  const done = new Set(stories.filter(story => story.passes === true).map(story => story.id));
+
+  return stories
+    .filter(story => story.passes === false && story.blocked !== true && (story.dependsOn || []).every(dep => done.has(dep)))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+// One-line summary of validation errors, for logs
+function describeErrors(errors) {
+  return errors.map(e => `${e.field} ${e.message}`).join('; ');
+}
+
+// Fill in defaults for a story added through the API
+function newStory(prd, fields) {
+  const stories = prd.userStories || [];
+  const ids = new Set(stories.map(s => s.id));
+  let id = fields.id;
+  if (id === undefined) {
+    let n = stories.length + 1;
+    while (ids.has(`story-${n}`)) n++;
+    id = `story-${n}`;
+  }
+
+  return {
+    id,
+    description: '',
+    priority: stories.reduce((max, s) => Math.max(max, Number(s.priority) || 0), 0) + 1,
+    passes: false,
+    ...fields,
+    id
+  };
+}
+
+// Story fields that record Ralph's progress rather than what to build
+const PROGRESS_FIELDS = ['passes', 'attempts', 'blocked', 'blockedReason'];
+
+// Fields of a story's definition (everything but its id and progress) whose
+// values differ between two versions of it
+function changedStoryFields(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => field !== 'id' && !PROGRESS_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Compare a draft PRD with the current one (null if there is none). Stories
+// are matched by id; progress fields are ignored, since a draft starts with
+// every story unfinished. Returns { fields: [{ field, before, after }],
+// added, removed, changed: [{ id, fields, before, after }], unchanged: [id] }.
+function diffPrds(current, draft) {
+  const currentStories = current && Array.isArray(current.userStories) ? current.userStories : [];
+  const draftStories = draft.userStories;
+  const currentById = new Map(currentStories.map(story => [story.id, story]));
+  const draftIds = new Set(draftStories.map(story => story.id));
+
+  const topFields = new Set([...Object.keys(current || {}), ...Object.keys(draft)]);
+  const fields = [...topFields]
+    .filter(field => field !== 'userStories')
+    .filter(field => JSON.stringify((current || {})[field]) !== JSON.stringify(draft[field]))
+    .map(field => ({ field, before: (current || {})[field], after: draft[field] }));
+
+  const diff = { fields, added: [], removed: [], changed: [], unchanged: [] };
+  draftStories.forEach(story => {
+    const before = currentById.get(story.id);
+    if (!before) {
+      diff.added.push(story);
+      return;
+    }
+    const changed = changedStoryFields(before, story);
+    if (changed.length > 0) {
+      diff.changed.push({ id: story.id, fields: changed, before, after: story });
+    } else {
+      diff.unchanged.push(story.id);
+    }
+  });
+  diff.removed = currentStories.filter(story => !draftIds.has(story.id));
+  return diff;
+}
+
+// Merge a draft into the current PRD: the current featureName, branchName and
+// other top-level fields stay (Ralph's work is on that branch), stories the
+// draft changes take its definition and start over, stories it adds are
+// appended and stories it leaves out are kept. Unchanged stories keep their
+// progress.
+function mergePrds(current, draft) {
+  const draftById = new Map(draft.userStories.map(story => [story.id, story]));
+  const currentStories = Array.isArray(current.userStories) ? current.userStories : [];
+  const currentIds = new Set(currentStories.map(story => story.id));
+
+  const userStories = currentStories.map(story => {
+    const replacement = draftById.get(story.id);
+    if (!replacement || changedStoryFields(story, replacement).length === 0) return story;
+    const definition = Object.fromEntries(Object.entries(replacement).filter(([field]) => !PROGRESS_FIELDS.includes(field)));
+    return { ...definition, passes: false };
+  });
+  draft.userStories.filter(story => !currentIds.has(story.id)).forEach(story => userStories.push(story));
+
+  return { ...draft, ...current, userStories };
+}
+
+module.exports = {
+  schema,
+  DEFAULT_PRD_ID,
+  PRD_ID_PATTERN,
+  EDITABLE_STORY_FIELDS,
+  validatePrd,
+  getReadyStories,
+  describeErrors,
+  newStory,
+  diffPrds,
+  mergePrds
+};
@@ -0,0 +1,72 @@
+// Model price table, in USD per million tokens.
+// Cache writes/reads follow Anthropic's multipliers on the input price unless
+// a model lists its own rates.
+const PRICES = {
+  'claude-3-opus-20240229': { input: 15, output: 75 },
+  'claude-3-sonnet-20240229': { input: 3, output: 15 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  // Scripted test agent (agents.js)
+  fake: { input: 0, output: 0 }
+};
+
+// Fallbacks for model ids not listed above (aliases, newer snapshots)
+const FAMILY_PRICES = [
+  { match: /opus/, price: { input: 15, output: 75 } },
+  { match: /sonnet/, price: { input: 3, output: 15 } },
+  { match: /3-5-haiku|haiku-4/, price: { input: 0.8, output: 4 } },
+  { match: /haiku/, price: { input: 0.25, output: 1.25 } },
+  { match: /gpt-4o-mini/, price: { input: 0.15, output: 0.6 } },
+  { match: /gpt-4o/, price: { input: 2.5, output: 10 } }
+];
+
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+// Default model per job type, matching what the scripts run with
+function getDefaultModel(jobType) {
+  if (jobType === 'manager') {
+    return process.env.MANAGER_MODEL || 'claude-3-opus-20240229';
+  }
+  return process.env.INTERN_MODEL || 'claude-3-haiku-20240307';
+}
+
+function getModelPrice(model) {
+  if (!model) return null;
+  if (PRICES[model]) return PRICES[model];
+
+  const family = FAMILY_PRICES.find(f => f.match.test(model));
+  return family ? family.price : null;
+}
+
+// Price a usage record: { input_tokens, output_tokens,
+// cache_creation_input_tokens, cache_read_input_tokens }
+function calculateCost(model, usage) {
+  const price = getModelPrice(model);
+  if (!price) {
+    console.warn(`No price configured for model "${model}", recording $0`);
+    return 0;
+  }
+
+  const perToken = rate => rate / 1000000;
+  const cacheWrite = price.cacheWrite !== undefined ? price.cacheWrite : price.input * CACHE_WRITE_MULTIPLIER;
+  const cacheRead = price.cacheRead !== undefined ? price.cacheRead : price.input * CACHE_READ_MULTIPLIER;
+
+  return (usage.input_tokens || 0) * perToken(price.input) +
+    (usage.output_tokens || 0) * perToken(price.output) +
+    (usage.cache_creation_input_tokens || 0) * perToken(cacheWrite) +
+    (usage.cache_read_input_tokens || 0) * perToken(cacheRead);
+}
+
+module.exports = {
+  PRICES,
+  getDefaultModel,
+  getModelPrice,
+  calculateCost
+};
@@ -0,0 +1,306 @@
+// Prompt templates for the manager's PRD prompt, Ralph's per-iteration
+// prompt and the manager's prompt for rewriting a blocked story. Templates use {{name}} placeholders and {{#name}}...{{/name}}
+// sections that are left out when the value is empty. The built-in templates
+// below apply until a version is saved for the server or a repo (db.js).
+// scripts/prompt.js renders them for manager.sh and ralph.sh, and the server
+// renders the same way for previews.
+const fs = require('fs');
+const path = require('path');
+const prdSchema = require('./prd');
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_CONVENTIONS_LENGTH = 4000;
+const PROGRESS_EXCERPT_LINES = 40;
+
+const RALPH_TEMPLATE = `You are Ralph, an autonomous AI coding agent working on: {{featureName}}
+
+## Current Task
+**Story ID:** {{storyId}}
+**Title:** {{storyTitle}}
+**Description:** {{storyDescription}}
+
+**Acceptance Criteria:**
+{{acceptanceCriteria}}
+{{#dependsOn}}
+**Builds on (already complete):** {{dependsOn}}
+{{/dependsOn}}
+
+## Your Instructions
+
+1. **Implement** this single story completely
+2. **Run quality checks** (typecheck, lint, test as appropriate){{#checks}}
+   These commands are run after this iteration and must all succeed:
+{{checks}}{{/checks}}
+3. **If checks pass:**
+   - Commit your changes with message: "Ralph: Complete {{storyId}} - {{storyTitle}}"
+   - Update prd.json to set this story's "passes" to true
+   - Append learnings to progress.txt
+4. **If checks fail:**
+   - Fix the issues and try again
+   - Do NOT mark the story as complete until checks pass
+{{#conventions}}
+
+## Project Conventions
+{{conventions}}
+{{/conventions}}
+
+## Context Files
+- prd.json: Full task list with completion status
+- progress.txt: Learnings from previous iterations
+
+## Completion Signal
+When this story passes all checks and is marked complete, output exactly:
+\`<promise>DONE</promise>\`
+
+Do NOT output this signal until the story is verified complete.`;
+
+const MANAGER_TEMPLATE = `You are a Senior Technical Architect creating a Product Requirements Document (PRD) for an AI coding assistant.
+
+User Request: "{{request}}"
+
+Your task:
+1. ANALYZE the repository structure and relevant files in {{repoPath}}
+2. CREATE a file named 'prd.json' in the root of '{{repoPath}}'
+3. The prd.json must follow this EXACT structure:
+
+\`\`\`json
+{
+  "featureName": "Human-readable feature name",
+  "branchName": "feature/{{branchName}}",
+  "description": "Detailed description of what will be built",
+  "userStories": [
+    {
+      "id": "story-1",
+      "title": "Short title",
+      "description": "Detailed description of this specific task",
+      "acceptanceCriteria": [
+        "Specific, testable criterion 1",
+        "Specific, testable criterion 2"
+      ],
+      "priority": 1,
+      "passes": false
+    }
+  ]
+}
+\`\`\`
+
+CRITICAL RULES for user stories:
+- Each story must be SMALL enough to complete in ONE iteration
+- Stories should be ordered by dependency (implement prerequisites first)
+- If a story needs another story's work, list those ids in an optional "dependsOn" array (e.g. "dependsOn": ["story-1"]); dependencies must not form a cycle
+- Priority 1 is highest priority (do first)
+- Acceptance criteria must be SPECIFIC and TESTABLE
+- Include quality checks (typecheck, lint, test) in criteria where appropriate
+- DO NOT create stories larger than: "add a component", "modify a file", "add a database column"
+{{#conventions}}
+- Follow the project conventions below, and carry any that matter into acceptance criteria
+
+Project conventions:
+{{conventions}}
+{{/conventions}}
+
+BAD story (too large):
+- "Build the entire dashboard"
+
+GOOD stories (right-sized):
+- "Create dashboard layout component"
+- "Add navigation sidebar to dashboard"
+- "Implement user profile section"
+- "Add activity feed component"
+
+Write the prd.json file now. Output ONLY valid JSON, no markdown code fences.`;
+
+const REWRITE_TEMPLATE = `You are a Senior Technical Architect helping an AI coding assistant that is stuck.
+
+The story below in '{{prdPath}}' was attempted {{attempts}} times without passing and has been marked blocked:
+
+\`\`\`json
+{{story}}
+\`\`\`
+
+Output of the last failed attempt:
+\`\`\`
+{{blockedReason}}
+\`\`\`
+
+Your task:
+1. READ prd.json and the relevant files in {{repoPath}} to understand why the story is failing
+2. EDIT prd.json in place so the work can be finished:
+   - Replace story "{{storyId}}" with two or more smaller stories, or rewrite it so it is achievable
+   - New stories need unique ids, "passes": false and no "attempts", "blocked" or "blockedReason" fields
+   - Keep every other story unchanged, except that "dependsOn" entries pointing at "{{storyId}}" must point at the stories that replace it
+   - Keep the same JSON structure and do not touch featureName, branchName or issue
+{{#conventions}}
+
+Project conventions:
+{{conventions}}
+{{/conventions}}
+
+Write the updated prd.json now.`;
+
+// Template kinds: the built-in text and the placeholders it can use
+const KINDS = {
+  ralph: {
+    description: "Ralph's prompt for one iteration on the next ready story",
+    builtin: RALPH_TEMPLATE,
+    placeholders: {
+      featureName: 'featureName from prd.json',
+      branchName: 'branchName from prd.json',
+      storyId: 'Id of the story being worked on',
+      storyTitle: 'Its title',
+      storyDescription: 'Its description',
+      acceptanceCriteria: 'Its acceptance criteria, one "- " line each',
+      dependsOn: 'Comma-separated ids of the stories it builds on',
+      checks: "The repo's quality check commands, one line each",
+      progressExcerpt: `Last ${PROGRESS_EXCERPT_LINES} lines of progress.txt`,
+      conventions: "The repo's conventions text",
+      attempt: 'Attempt number of this story',
+      maxAttempts: 'Attempts before the story is blocked'
+    }
+  },
+  manager: {
+    description: "The manager's prompt for turning a request into prd.json",
+    builtin: MANAGER_TEMPLATE,
+    placeholders: {
+      request: 'The feature request (or imported issue)',
+      repoPath: 'Path of the checkout the manager works in',
+      branchName: 'Branch name suggested from the request',
+      progressExcerpt: `Last ${PROGRESS_EXCERPT_LINES} lines of progress.txt`,
+      conventions: "The repo's conventions text"
+    }
+  },
+  rewrite: {
+    description: "The manager's prompt for splitting or rewriting a blocked story (ralph --escalate)",
+    builtin: REWRITE_TEMPLATE,
+    placeholders: {
+      prdPath: 'Path of the prd.json to edit',
+      repoPath: 'Path of the checkout the manager works in',
+      storyId: 'Id of the blocked story',
+      story: 'The story as JSON, without blockedReason',
+      attempts: 'Attempts it used',
+      blockedReason: 'Output of its last failed attempt',
+      progressExcerpt: `Last ${PROGRESS_EXCERPT_LINES} lines of progress.txt`,
+      conventions: "The repo's conventions text"
+    }
+  }
+};
+
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Validation messages for a template body of a kind, or null when valid
+function validateTemplate(kind, body) {
+  if (!KINDS[kind]) {
+    return `kind must be one of: ${Object.keys(KINDS).join(', ')}`;
+  }
+  if (typeof body !== 'string' || !body.trim() || body.length > MAX_TEMPLATE_LENGTH) {
+    return `template must be 1-${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  const names = new Set();
+  body.replace(SECTION, (match, name, inner) => {
+    names.add(name);
+    return inner;
+  }).replace(PLACEHOLDER, (match, name) => {
+    names.add(name);
+    return match;
+  });
+  const unknown = [...names].filter(name => !KINDS[kind].placeholders[name]);
+  if (unknown.length > 0) {
+    return `unknown placeholders: ${unknown.join(', ')} (available: ${Object.keys(KINDS[kind].placeholders).join(', ')})`;
+  }
+  if (/\{\{[#/]/.test(body.replace(SECTION, ''))) {
+    return 'every {{#name}} section needs a matching {{/name}}';
+  }
+  return null;
+}
+
+// Fill in a template. Missing values render as empty text.
+function render(body, values) {
+  const value = name => (values[name] === undefined || values[name] === null ? '' : String(values[name]));
+  return body
+    .replace(SECTION, (match, name, inner) => (value(name) ? inner : ''))
+    .replace(PLACEHOLDER, (match, name) => value(name));
+}
+
+function progressExcerpt(projectPath) {
+  try {
+    const lines = fs.readFileSync(path.join(projectPath, 'progress.txt'), 'utf8').trimEnd().split('\n');
+    return lines.slice(-PROGRESS_EXCERPT_LINES).join('\n');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Values for Ralph's prompt. storyId defaults to the next ready story;
+// returns null when no story is ready.
+function ralphValues(projectPath, { storyId, attempt, maxAttempts, checks = [], conventions = '' } = {}) {
+  const prd = JSON.parse(fs.readFileSync(path.join(projectPath, 'prd.json'), 'utf8'));
+  const story = storyId
+    ? (prd.userStories || []).find(s => s && s.id === storyId)
+    : prdSchema.getReadyStories(prd)[0];
+  if (!story) return null;
+
+  return {
+    featureName: prd.featureName,
+    branchName: prd.branchName,
+    storyId: story.id,
+    storyTitle: story.title,
+    storyDescription: story.description,
+    acceptanceCriteria: (story.acceptanceCriteria || []).map(c => `- ${c}`).join('\n'),
+    dependsOn: (story.dependsOn || []).join(', '),
+    checks: checks.map(check => `   - \`${check.command}\``).join('\n'),
+    progressExcerpt: progressExcerpt(projectPath),
+    conventions,
+    attempt: attempt || (story.attempts || 0) + 1,
+    maxAttempts
+  };
+}
+
+// Branch suggested to the manager: the request's first line, lowercased,
+// spaces to dashes, other characters dropped, at most 30 characters
+function branchFromRequest(request) {
+  return request.split('\n')[0].toLowerCase().replace(/ /g, '-').replace(/[^a-z0-9-]/g, '').slice(0, 30);
+}
+
+function managerValues(projectPath, { request, conventions = '' }) {
+  return {
+    request,
+    repoPath: projectPath,
+    branchName: branchFromRequest(request),
+    progressExcerpt: progressExcerpt(projectPath),
+    conventions
+  };
+}
+
+// Values for the rewrite prompt. storyId defaults to the first blocked
+// story; returns null when there is no such story.
+function rewriteValues(projectPath, { storyId, conventions = '' } = {}) {
+  const prdPath = path.join(projectPath, 'prd.json');
+  const prd = JSON.parse(fs.readFileSync(prdPath, 'utf8'));
+  const story = (prd.userStories || []).find(s => s && (storyId ? s.id === storyId : s.blocked === true));
+  if (!story) return null;
+
+  const { blockedReason, ...rest } = story;
+  return {
+    prdPath,
+    repoPath: projectPath,
+    storyId: story.id,
+    story: JSON.stringify(rest, null, 2),
+    attempts: story.attempts || 0,
+    blockedReason: blockedReason || '(none)',
+    progressExcerpt: progressExcerpt(projectPath),
+    conventions
+  };
+}
+
+module.exports = {
+  KINDS,
+  MAX_TEMPLATE_LENGTH,
+  MAX_CONVENTIONS_LENGTH,
+  validateTemplate,
+  render,
+  ralphValues,
+  managerValues,
+  rewriteValues
+};
@@ -0,0 +1,116 @@
+// GitHub text for PRDs: pull request descriptions generated from prd.json
+// and progress.txt, CI/review summaries built from GitHub API responses, and
+// the manager request and completion comment for PRDs imported from issues.
+
+// GitHub rejects pull request bodies over 65536 characters
+const MAX_BODY_LENGTH = 60000;
+
+// 'https://github.com/o/r.git', 'git@github.com:o/r.git' -> { owner: 'o', repo: 'r' }
+function parseRemote(url) {
+  const match = /[/:]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/.exec(url || '');
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+// Markdown description: the PRD summary, a checklist of stories with their
+// acceptance criteria and the loop's progress.txt learnings (tail if long)
+function buildBody(prd, progress = '') {
+  const stories = (prd.userStories || []).slice().sort((a, b) => a.priority - b.priority);
+  const done = stories.filter(story => story.passes === true).length;
+
+  const lines = [];
+  if (prd.description) {
+    lines.push(prd.description, '');
+  }
+  if (prd.issue) {
+    lines.push(`Closes #${prd.issue}`, '');
+  }
+  lines.push(`${done} of ${stories.length} stories pass.`, '', '## Stories', '');
+  stories.forEach(story => {
+    const status = story.blocked ? ' _(blocked)_' : '';
+    lines.push(`- [${story.passes === true ? 'x' : ' '}] **${story.id}: ${story.title}**${status}`);
+    if (story.description) {
+      lines.push(`  ${story.description}`);
+    }
+    (story.acceptanceCriteria || []).forEach(criterion => lines.push(`  - ${criterion}`));
+  });
+
+  let body = lines.join('\n');
+  const learnings = progress.trim();
+  if (learnings) {
+    const room = Math.max(MAX_BODY_LENGTH - body.length - 200, 0);
+    const text = learnings.length > room ? `...\n${learnings.slice(learnings.length - room)}` : learnings;
+    body += `\n\n## Progress\n\n<details><summary>progress.txt</summary>\n\n\`\`\`\`\n${text}\n\`\`\`\`\n\n</details>`;
+  }
+  return `${body}\n\n_Generated by Ralph Dashboard from prd.json._\n`;
+}
+
+// Overall CI state of a commit from its check runs and commit statuses:
+// 'failure', 'pending', 'success', or 'none' when nothing has reported
+function summarizeChecks(checkRuns = [], statuses = []) {
+  const states = [
+    ...checkRuns.map(run => {
+      if (run.status !== 'completed') return 'pending';
+      return ['success', 'neutral', 'skipped'].includes(run.conclusion) ? 'success' : 'failure';
+    }),
+    ...statuses.map(status => status.state === 'success' || status.state === 'pending' ? status.state : 'failure')
+  ];
+
+  if (states.length === 0) return 'none';
+  if (states.includes('failure')) return 'failure';
+  if (states.includes('pending')) return 'pending';
+  return 'success';
+}
+
+// Review state from each reviewer's latest verdict (reviews come oldest
+// first): 'changes_requested', 'approved' or 'pending'
+function summarizeReviews(reviews = []) {
+  const latest = new Map();
+  reviews.forEach(review => {
+    if (review.user && ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+      latest.set(review.user.login, review.state);
+    }
+  });
+
+  const states = [...latest.values()];
+  if (states.includes('CHANGES_REQUESTED')) return 'changes_requested';
+  if (states.includes('APPROVED')) return 'approved';
+  return 'pending';
+}
+
+// Manager request built from a GitHub issue and its comments, oldest first
+const MAX_REQUEST_LENGTH = 20000;
+
+function buildIssueRequest(issue, comments = []) {
+  const parts = [`GitHub issue #${issue.number}: ${issue.title}`];
+  if (issue.body && issue.body.trim()) {
+    parts.push(issue.body.trim());
+  }
+  const discussion = comments
+    .filter(comment => comment.body && comment.body.trim())
+    .map(comment => `@${comment.user ? comment.user.login : 'unknown'}: ${comment.body.trim()}`);
+  if (discussion.length > 0) {
+    parts.push(`Comments:\n\n${discussion.join('\n\n')}`);
+  }
+
+  const request = parts.join('\n\n');
+  return request.length > MAX_REQUEST_LENGTH ? `${request.slice(0, MAX_REQUEST_LENGTH)}\n\n(truncated)` : request;
+}
+
+// Comment posted on the source issue once Ralph completes its PRD
+function buildIssueComment(prd, pullRequestUrl) {
+  const stories = prd.userStories || [];
+  const lines = [`Ralph completed **${prd.featureName}** on branch \`${prd.branchName}\`: all ${stories.length} stories pass.`];
+  if (pullRequestUrl) {
+    lines.push('', `Pull request: ${pullRequestUrl}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseRemote,
+  buildIssueRequest,
+  buildIssueComment,
+  buildBody,
+  summarizeChecks,
+  summarizeReviews
+};
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// agent.js - Run one Ralph iteration through an agent backend (agents.js)
+//
+// Usage: node agent.js --agent <name> [--model <model>] [--cwd <dir>] < prompt
+//        node agent.js --agent <name> --check
+//
+// Prints one JSON object: { agent, model, output, usage, exitReason }.
+// Progress goes to stderr. --check exits 1 with the reason when the agent
+// cannot run on this machine. RALPH_STORY_ID and RALPH_ATTEMPT describe the
+// iteration to agents that use them (the fake agent).
+const agents = require('../agents');
+
+function parseArgs(argv) {
+  const args = { agent: 'claude', model: null, cwd: process.cwd(), check: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--agent': args.agent = argv[++i]; break;
+      case '--model': args.model = argv[++i] || null; break;
+      case '--cwd': args.cwd = argv[++i]; break;
+      case '--check': args.check = true; break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(2);
+    }
+  }
+  return args;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => resolve(input));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const adapter = agents.get(args.agent);
+
+  if (args.check) {
+    const reason = adapter ? adapter.unavailableReason() : `Unknown agent: ${args.agent} (expected ${agents.names().join(', ')})`;
+    if (reason) {
+      console.log(reason);
+      process.exit(1);
+    }
+    console.log(`${args.agent}: ok`);
+    return;
+  }
+
+  const prompt = await readStdin();
+  const outcome = await agents.run(args.agent, {
+    prompt,
+    cwd: args.cwd,
+    model: args.model,
+    storyId: process.env.RALPH_STORY_ID || null,
+    attempt: parseInt(process.env.RALPH_ATTEMPT) || 1,
+    log: message => console.error(`[${args.agent}] ${message}`)
+  });
+
+  console.log(JSON.stringify({ agent: args.agent, ...outcome }));
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
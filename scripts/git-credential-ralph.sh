@@ -0,0 +1,14 @@
+#!/bin/bash
+# git-credential-ralph.sh - Git credential helper for the dashboard
+# Answers "get" with the username and token the server passed in
+# RALPH_GIT_USERNAME / RALPH_GIT_PASSWORD. Nothing is stored or erased.
+#
+# Usage (set up by the server): git -c credential.https://<host>.helper='!<this script>' ...
+
+[ "$1" = "get" ] || exit 0
+[ -n "$RALPH_GIT_PASSWORD" ] || exit 0
+
+# Consume the request git writes to stdin
+cat > /dev/null
+
+printf 'username=%s\npassword=%s\n' "$RALPH_GIT_USERNAME" "$RALPH_GIT_PASSWORD"
@@ -3,22 +3,123 @@
 # Creates a prd.json with detailed user stories from a feature request
 #
 # Usage: ./manager.sh <path-to-repo> <user-request>
+#        ./manager.sh <path-to-repo> --rewrite-story <story-id>
+#
+# --rewrite-story is used by ralph.sh --escalate: the manager splits or
+# rewrites one blocked story in the existing prd.json.
+#
+# The prompts are rendered by scripts/prompt.js from MANAGER_PROMPT_TEMPLATE
+# and REWRITE_PROMPT_TEMPLATE (the repo's templates, set by the server) or
+# the built-in templates.
 
 set -e
 
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 REPO_PATH="$1"
 USER_REQUEST="$2"
+REWRITE_STORY=""
+
+if [ "$2" = "--rewrite-story" ]; then
+    REWRITE_STORY="$3"
+    USER_REQUEST="Rewrite blocked story $3"
+fi
 
-if [ -z "$REPO_PATH" ] || [ -z "$USER_REQUEST" ]; then
+if [ -z "$REPO_PATH" ] || [ -z "$USER_REQUEST" ] || { [ "$2" = "--rewrite-story" ] && [ -z "$REWRITE_STORY" ]; }; then
     echo "Usage: ./manager.sh <path-to-repo> <user-request>"
+    echo "       ./manager.sh <path-to-repo> --rewrite-story <story-id>"
     exit 1
 fi
 
+# Iteration of the Ralph loop that escalated to us, if any
+ITERATION="${RALPH_ITERATION:-1}"
+
+# Machine-readable events for the dashboard server (see ralph.sh)
+# Usage: emit_event <event> [jq --arg/--argjson pairs...]
+emit_event() {
+    [ -n "$RALPH_EVENTS_FD" ] || return 0
+    local event="$1"
+    shift
+    jq -nc --arg event "$event" --argjson iteration "$ITERATION" "$@" '$ARGS.named' >&"$RALPH_EVENTS_FD"
+}
+
+# Run claude with a prompt, print its result and report token usage. Its
+# stderr goes straight to the job log, so RAW holds only the JSON result.
+# Usage: run_claude <prompt> <allowed-tools>
+run_claude() {
+    cd "$REPO_PATH"
+    RAW=$(echo "$1" | claude -p . --print --output-format json --allowed-tools "$2") || {
+        echo "$RAW"
+        emit_event error --arg reason "agent_failed" --arg message "claude exited with an error"
+        exit 1
+    }
+
+    # JSON mode carries the token usage; report it to the dashboard server
+    if echo "$RAW" | jq -e '.result' &> /dev/null; then
+        echo "$RAW" | jq -r '.result'
+        if [ -n "$RALPH_EVENTS_FD" ]; then
+            echo "$RAW" | jq -c --arg model "$ANTHROPIC_MODEL" --argjson iteration "$ITERATION" '{
+                event: "usage",
+                iteration: $iteration,
+                model: $model,
+                input_tokens: (.usage.input_tokens // 0),
+                output_tokens: (.usage.output_tokens // 0),
+                cache_creation_input_tokens: (.usage.cache_creation_input_tokens // 0),
+                cache_read_input_tokens: (.usage.cache_read_input_tokens // 0)
+            }' >&"$RALPH_EVENTS_FD"
+        fi
+    else
+        echo "$RAW"
+    fi
+}
+
 if [ ! -d "$REPO_PATH" ]; then
     echo "Error: Repository path does not exist: $REPO_PATH"
     exit 1
 fi
 
+# Use direct Anthropic API for maximum reasoning capability
+unset ANTHROPIC_BASE_URL
+export ANTHROPIC_MODEL="${MANAGER_MODEL:-claude-3-opus-20240229}"
+
+if [ -n "$REWRITE_STORY" ]; then
+    PRD_FILE="$REPO_PATH/prd.json"
+    STORY=$(jq -c --arg id "$REWRITE_STORY" '.userStories[] | select(.id == $id)' "$PRD_FILE" 2>/dev/null || true)
+    if [ -z "$STORY" ]; then
+        echo "Error: Story $REWRITE_STORY not found in $PRD_FILE"
+        emit_event error --arg reason "story_not_found" --arg message "Story $REWRITE_STORY not found in prd.json"
+        exit 1
+    fi
+
+    echo "Manager (Opus) is rewriting blocked story $REWRITE_STORY..."
+    BEFORE=$(jq '.userStories | length' "$PRD_FILE")
+
+    if ! command -v claude &> /dev/null; then
+        # Without the CLI, give the story a fresh set of attempts
+        echo "Warning: claude CLI not found. Unblocking $REWRITE_STORY for demonstration."
+        jq --arg id "$REWRITE_STORY" '(.userStories[] | select(.id == $id)) |= (del(.blocked, .blockedReason) | .attempts = 0)' "$PRD_FILE" > "${PRD_FILE}.tmp"
+        mv "${PRD_FILE}.tmp" "$PRD_FILE"
+    else
+        # The prompt comes from REWRITE_PROMPT_TEMPLATE or the built-in one
+        if ! PROMPT=$(node "$SCRIPT_DIR/prompt.js" rewrite "$REPO_PATH" --story "$REWRITE_STORY"); then
+            emit_event error --arg reason "prompt_failed" --arg message "Could not render the rewrite prompt for $REWRITE_STORY"
+            echo "Error: Could not render the rewrite prompt for $REWRITE_STORY"
+            exit 1
+        fi
+        run_claude "$PROMPT" "Read Write Edit"
+    fi
+
+    if ! jq -e --arg id "$REWRITE_STORY" '[.userStories[] | select(.id == $id and .blocked == true)] | length == 0' "$PRD_FILE" &> /dev/null; then
+        echo "Error: Story $REWRITE_STORY is still blocked"
+        emit_event error --arg reason "rewrite_failed" --arg message "Manager did not rewrite blocked story $REWRITE_STORY"
+        exit 1
+    fi
+
+    AFTER=$(jq '.userStories | length' "$PRD_FILE")
+    emit_event story_rewritten --arg storyId "$REWRITE_STORY" --argjson storiesBefore "$BEFORE" --argjson storiesAfter "$AFTER"
+    echo "Manager rewrote $REWRITE_STORY ($BEFORE -> $AFTER stories)."
+    exit 0
+fi
+
 echo "Manager (Opus) is analyzing the request..."
 echo "Repository: $REPO_PATH"
 echo "Request: $USER_REQUEST"
@@ -28,15 +129,17 @@ echo ""
 if ! command -v claude &> /dev/null; then
     echo "Warning: claude CLI not found. Creating sample prd.json for demonstration."
 
-    # Generate a branch name from the request
-    BRANCH_NAME=$(echo "$USER_REQUEST" | tr '[:upper:]' '[:lower:]' | tr ' ' '-' | cut -c1-30)
+    # Generate a branch name from the request's first line (issue imports
+    # span several lines)
+    SUMMARY=$(echo "$USER_REQUEST" | head -n 1)
+    BRANCH_NAME=$(echo "$SUMMARY" | tr '[:upper:]' '[:lower:]' | sed -E 's/[^a-z0-9]+/-/g; s/^-+//' | cut -c1-30 | sed -E 's/-+$//')
 
     # Create a sample prd.json for demonstration
     cat > "$REPO_PATH/prd.json" << EOF
 {
-  "featureName": "$USER_REQUEST",
+  "featureName": $(jq -n --arg s "$SUMMARY" '$s'),
   "branchName": "feature/$BRANCH_NAME",
-  "description": "Implementation of: $USER_REQUEST",
+  "description": $(jq -n --arg s "Implementation of: $USER_REQUEST" '$s'),
   "userStories": [
     {
       "id": "story-1",
@@ -79,74 +182,32 @@ if ! command -v claude &> /dev/null; then
 EOF
 
     echo "Created prd.json in $REPO_PATH"
+    emit_event prd_created --argjson stories 3
     echo ""
     echo "Note: This is a sample PRD. For production use, install the Claude CLI"
     echo "and set your ANTHROPIC_API_KEY to generate detailed, context-aware PRDs."
     exit 0
 fi
 
-# Use direct Anthropic API for maximum reasoning capability
-unset ANTHROPIC_BASE_URL
-export ANTHROPIC_MODEL="${MANAGER_MODEL:-claude-3-opus-20240229}"
-
-# Generate branch name from request
-BRANCH_NAME=$(echo "$USER_REQUEST" | tr '[:upper:]' '[:lower:]' | tr ' ' '-' | sed 's/[^a-z0-9-]//g' | cut -c1-30)
-
-# The Meta-Prompt for the Manager
-META_PROMPT="You are a Senior Technical Architect creating a Product Requirements Document (PRD) for an AI coding assistant.
-
-User Request: \"$USER_REQUEST\"
-
-Your task:
-1. ANALYZE the repository structure and relevant files in $REPO_PATH
-2. CREATE a file named 'prd.json' in the root of '$REPO_PATH'
-3. The prd.json must follow this EXACT structure:
-
-\`\`\`json
-{
-  \"featureName\": \"Human-readable feature name\",
-  \"branchName\": \"feature/$BRANCH_NAME\",
-  \"description\": \"Detailed description of what will be built\",
-  \"userStories\": [
-    {
-      \"id\": \"story-1\",
-      \"title\": \"Short title\",
-      \"description\": \"Detailed description of this specific task\",
-      \"acceptanceCriteria\": [
-        \"Specific, testable criterion 1\",
-        \"Specific, testable criterion 2\"
-      ],
-      \"priority\": 1,
-      \"passes\": false
-    }
-  ]
-}
-\`\`\`
-
-CRITICAL RULES for user stories:
-- Each story must be SMALL enough to complete in ONE iteration
-- Stories should be ordered by dependency (implement prerequisites first)
-- Priority 1 is highest priority (do first)
-- Acceptance criteria must be SPECIFIC and TESTABLE
-- Include quality checks (typecheck, lint, test) in criteria where appropriate
-- DO NOT create stories larger than: \"add a component\", \"modify a file\", \"add a database column\"
-
-BAD story (too large):
-- \"Build the entire dashboard\"
-
-GOOD stories (right-sized):
-- \"Create dashboard layout component\"
-- \"Add navigation sidebar to dashboard\"
-- \"Implement user profile section\"
-- \"Add activity feed component\"
-
-Write the prd.json file now. Output ONLY valid JSON, no markdown code fences."
+# The meta-prompt: the repo's manager template (MANAGER_PROMPT_TEMPLATE, else
+# the built-in one in prompts.js) with the request filled in
+if ! META_PROMPT=$(node "$SCRIPT_DIR/prompt.js" manager "$REPO_PATH" --request "$USER_REQUEST"); then
+    emit_event error --arg reason "prompt_failed" --arg message "Could not render the manager prompt"
+    echo "Error: Could not render the manager prompt"
+    exit 1
+fi
 
 # Run claude with the meta-prompt
 # Grant write permission for creating prd.json
-cd "$REPO_PATH"
-echo "$META_PROMPT" | claude -p . --print --allowed-tools "Write"
+run_claude "$META_PROMPT" "Write"
+
+if [ ! -f "$REPO_PATH/prd.json" ]; then
+    emit_event error --arg reason "no_prd" --arg message "Manager finished without writing prd.json"
+    echo "Error: Manager did not create prd.json"
+    exit 1
+fi
+emit_event prd_created --argjson stories "$(jq '.userStories | length' "$REPO_PATH/prd.json" 2>/dev/null || echo 0)"
 
 echo ""
 echo "Manager completed. prd.json has been created."
-echo "You can now run the Ralph loop to execute the stories."
+echo "Once the draft is approved (/diff, /approve), run the Ralph loop to execute the stories."
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// progress.js - Keep progress.txt learnings structured for ralph.sh (learnings.js)
+//
+// Usage: node progress.js record <progress_file> --before <copy> --story <id> --iteration <n>
+//        node progress.js compact <progress_file>
+//
+// record files what the agent appended since <copy> was taken under a
+// "## [<story>] iteration <n>" heading and prints the entry as JSON.
+// compact folds old entries into a summary once the file is larger than
+// PROGRESS_MAX_BYTES and prints { compacted, dropped, bytesBefore, bytesAfter },
+// dropped counting the oldest summary lines cut to keep the summary small.
+// Both print nothing when there is nothing to do.
+const fs = require('fs');
+const learnings = require('../learnings');
+
+function parseArgs(argv) {
+  const args = { command: argv[0], file: argv[1] };
+  for (let i = 2; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--before': args.before = value; break;
+      case '--story': args.story = value; break;
+      case '--iteration': args.iteration = parseInt(value) || null; break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(2);
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.file || !['record', 'compact'].includes(args.command) ||
+    (args.command === 'record' && (!args.before || !args.story))) {
+  console.error('Usage: progress.js record <progress_file> --before <copy> --story <id> --iteration <n>');
+  console.error('       progress.js compact <progress_file>');
+  process.exit(2);
+}
+if (!fs.existsSync(args.file)) process.exit(0);
+
+const text = fs.readFileSync(args.file, 'utf8');
+
+if (args.command === 'record') {
+  const before = fs.existsSync(args.before) ? fs.readFileSync(args.before, 'utf8') : '';
+  const recorded = learnings.recordAppended(before, text, args.story, args.iteration);
+  if (recorded) {
+    fs.writeFileSync(args.file, recorded.text);
+    console.log(JSON.stringify(recorded.entry));
+  }
+} else {
+  const { doc, compacted, dropped } = learnings.compact(learnings.parse(text));
+  if (compacted > 0) {
+    const compactedText = learnings.format(doc);
+    fs.writeFileSync(args.file, compactedText);
+    console.log(JSON.stringify({ compacted, dropped, bytesBefore: Buffer.byteLength(text), bytesAfter: Buffer.byteLength(compactedText) }));
+  }
+}
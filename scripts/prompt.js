@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// prompt.js - Render a prompt template (prompts.js) for manager.sh and ralph.sh
+//
+// Usage: node prompt.js ralph <project_path> [--story <id>] [--attempt <n>] [--max-attempts <n>]
+//        node prompt.js manager <project_path> --request <text>
+//        node prompt.js rewrite <project_path> --story <id>
+//
+// The template comes from RALPH_PROMPT_TEMPLATE / MANAGER_PROMPT_TEMPLATE /
+// REWRITE_PROMPT_TEMPLATE (set by the server to the repo's active version),
+// else the built-in one. RALPH_CHECKS and RALPH_CONVENTIONS fill the checks
+// and conventions placeholders. Prints the prompt; exits 1 if no story is
+// ready (ralph) or the story is not found.
+const prompts = require('../prompts');
+
+function parseArgs(argv) {
+  const args = { kind: argv[0], projectPath: argv[1] };
+  for (let i = 2; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--story': args.storyId = value; break;
+      case '--attempt': args.attempt = parseInt(value) || undefined; break;
+      case '--max-attempts': args.maxAttempts = parseInt(value) || undefined; break;
+      case '--request': args.request = value; break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(2);
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const kind = prompts.KINDS[args.kind];
+if (!kind || !args.projectPath || (args.kind === 'manager' && !args.request) || (args.kind === 'rewrite' && !args.storyId)) {
+  console.error('Usage: prompt.js ralph <project_path> [--story <id>] [--attempt <n>] [--max-attempts <n>]');
+  console.error('       prompt.js manager <project_path> --request <text>');
+  console.error('       prompt.js rewrite <project_path> --story <id>');
+  process.exit(2);
+}
+
+const template = process.env[`${args.kind.toUpperCase()}_PROMPT_TEMPLATE`] || kind.builtin;
+const conventions = process.env.RALPH_CONVENTIONS || '';
+
+let values;
+if (args.kind === 'ralph') {
+  values = prompts.ralphValues(args.projectPath, {
+    storyId: args.storyId,
+    attempt: args.attempt,
+    maxAttempts: args.maxAttempts,
+    checks: JSON.parse(process.env.RALPH_CHECKS || '[]'),
+    conventions
+  });
+  if (!values) {
+    console.error(args.storyId ? `Story ${args.storyId} not found in prd.json` : 'No story is ready');
+    process.exit(1);
+  }
+} else if (args.kind === 'rewrite') {
+  values = prompts.rewriteValues(args.projectPath, { storyId: args.storyId, conventions });
+  if (!values) {
+    console.error(`Story ${args.storyId} not found in prd.json`);
+    process.exit(1);
+  }
+} else {
+  values = prompts.managerValues(args.projectPath, { request: args.request, conventions });
+}
+
+process.stdout.write(prompts.render(template, values));
@@ -5,30 +5,108 @@
 # Each iteration is a fresh instance with clean context.
 # Memory persists via git history, progress.txt, and prd.json
 #
-# Usage: ./ralph.sh [max_iterations] [--tool claude|amp]
+# Usage: ./ralph.sh [repo_path] [max_iterations] [--tool claude|amp|openai|fake] [--model <model>]
+#                   [--pause <seconds>] [--max-attempts <n>] [--escalate] [--on-failure reset|branch|keep]
+#
+# The agent runs through scripts/agent.js, which picks the backend from
+# agents.js. Without --model the backend's own default is used.
+#
+# Every iteration starts from a checkpoint commit. An iteration that fails or
+# is interrupted is reset to its checkpoint (--on-failure reset), reset after
+# saving its work on a ralph/failed/... side branch (branch, the default), or
+# left as it is (keep).
+#
+# A story that fails --max-attempts iterations (counted in prd.json, so across
+# runs) is marked blocked and skipped. With --escalate, manager.sh is asked to
+# split or rewrite it before the loop continues.
+#
+# RALPH_CHECKS holds the repo's quality checks as a JSON array of
+# { name, command, timeoutSeconds }. They run after every iteration and a
+# story only counts as passed if they all succeed.
+#
+# Learnings the agent appends to progress.txt are filed per story and
+# iteration, and compacted into a summary once the file passes
+# PROGRESS_MAX_BYTES (scripts/progress.js).
+#
+# The prompt comes from scripts/prompt.js: RALPH_PROMPT_TEMPLATE overrides the
+# built-in template and RALPH_CONVENTIONS fills its conventions section.
 
 set -e
 
 # Configuration
-MAX_ITERATIONS="${1:-10}"
+MAX_ITERATIONS=10
 TOOL="claude"
+MODEL=""
+PAUSE_SECONDS=2
+MAX_ATTEMPTS=3
+ESCALATE=false
+ON_FAILURE="branch"
+CHECKS="${RALPH_CHECKS:-[]}"
+CHECK_TIMEOUT=600
+ITERATION=0
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 PROJECT_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
 
 # Parse arguments
-for arg in "$@"; do
-    case $arg in
-        --tool)
-            shift
-            TOOL="$1"
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --tool|--agent)
+            TOOL="$2"
+            shift 2
+            ;;
+        --model)
+            MODEL="$2"
+            shift 2
+            ;;
+        --pause)
+            PAUSE_SECONDS="$2"
+            shift 2
+            ;;
+        --max-attempts)
+            MAX_ATTEMPTS="$2"
+            shift 2
+            ;;
+        --escalate)
+            ESCALATE=true
             shift
             ;;
+        --on-failure)
+            ON_FAILURE="$2"
+            shift 2
+            ;;
         [0-9]*)
-            MAX_ITERATIONS="$arg"
+            MAX_ITERATIONS="$1"
+            shift
+            ;;
+        *)
+            if [ -d "$1" ]; then
+                PROJECT_ROOT="$(cd "$1" && pwd)"
+            else
+                echo "Unknown argument: $1"
+                exit 1
+            fi
+            shift
             ;;
     esac
 done
 
+case "$ON_FAILURE" in
+    reset|branch|keep) ;;
+    *)
+        echo "Unsupported --on-failure mode: $ON_FAILURE (expected reset, branch or keep)"
+        exit 1
+        ;;
+esac
+
+# Side branches are named after the dashboard job and its overall iteration
+# number when run by the server
+RUN_LABEL="${RALPH_JOB_ID:+job-$RALPH_JOB_ID}"
+RUN_LABEL="${RUN_LABEL:-run-$(date +%Y%m%d-%H%M%S)}"
+ITERATION_BASE="${RALPH_BASE_ITERATION:-0}"
+
+# All git operations below act on the project, not the caller's directory
+cd "$PROJECT_ROOT"
+
 # Files
 PRD_FILE="$PROJECT_ROOT/prd.json"
 PROGRESS_FILE="$PROJECT_ROOT/progress.txt"
@@ -57,11 +135,203 @@ success() {
     echo "[$(date '+%Y-%m-%d %H:%M:%S')] SUCCESS: $1" >> "$LOG_FILE"
 }
 
+# Machine-readable events for the dashboard server, one JSON object per line.
+# The server passes an extra pipe and names its descriptor in RALPH_EVENTS_FD;
+# run standalone, events are skipped.
+# Usage: emit_event <event> [jq --arg/--argjson pairs...]
+emit_event() {
+    [ -n "$RALPH_EVENTS_FD" ] || return 0
+    local event="$1"
+    shift
+    jq -nc --arg event "$event" --argjson iteration "${ITERATION:-0}" "$@" '$ARGS.named' >&"$RALPH_EVENTS_FD"
+}
+
+# Log an error, report it as an event and stop the loop
+# Usage: fail <reason> <message>
+fail() {
+    error "$2"
+    emit_event error --arg reason "$1" --arg message "$2"
+    exit 1
+}
+
+# Report token usage from an agent.js result to the dashboard server
+# Usage: report_usage <json>
+report_usage() {
+    [ -n "$RALPH_EVENTS_FD" ] || return 0
+    echo "$1" | jq -e '.usage != null' &> /dev/null || return 0
+    echo "$1" | jq -c --arg model "$MODEL" --argjson iteration "$ITERATION" '{
+        event: "usage",
+        iteration: $iteration,
+        model: (.model // $model),
+        input_tokens: (.usage.input_tokens // 0),
+        output_tokens: (.usage.output_tokens // 0),
+        cache_creation_input_tokens: (.usage.cache_creation_input_tokens // 0),
+        cache_read_input_tokens: (.usage.cache_read_input_tokens // 0)
+    }' >&"$RALPH_EVENTS_FD"
+}
+
+# Apply a jq update to one story in prd.json
+# Usage: update_story <story_id> [jq --arg/--argjson pairs...] <filter>
+update_story() {
+    local id="$1"
+    shift
+    local filter="${!#}"
+    jq --arg id "$id" "${@:1:$#-1}" "(.userStories[] | select(.id == \$id)) |= ($filter)" "$PRD_FILE" > "${PRD_FILE}.tmp"
+    mv "${PRD_FILE}.tmp" "$PRD_FILE"
+}
+
+# Mark a story blocked with the tail of its last output attached
+# Usage: block_story <story_id> <title> <attempts> <output>
+block_story() {
+    local reason
+    reason=$(echo "$4" | tail -c 2000)
+    update_story "$1" --arg reason "$reason" '.blocked = true | .blockedReason = $reason'
+    error "Story $1 blocked after $3 failed attempts."
+    emit_event story_blocked --arg storyId "$1" --arg title "$2" --argjson attempts "$3" --arg reason "$reason"
+}
+
+# Ask the manager to split or rewrite a blocked story in prd.json
+# Usage: escalate_story <story_id>
+escalate_story() {
+    log "Escalating $1 to the manager..."
+    if RALPH_ITERATION="$ITERATION" bash "$SCRIPT_DIR/manager.sh" "$PROJECT_ROOT" --rewrite-story "$1"; then
+        success "Manager rewrote $1"
+    else
+        error "Manager could not rewrite $1; it stays blocked."
+    fi
+}
+
+# Commit anything left in the working tree and record HEAD as the
+# checkpoint the current iteration can be reset to
+create_checkpoint() {
+    CHECKPOINT=""
+    if [ -n "$(git status --porcelain)" ]; then
+        git add -A
+        if ! git commit -q -m "Ralph: Checkpoint before iteration $((ITERATION_BASE + ITERATION))"; then
+            # Resetting now would throw away the uncommitted changes
+            error "Could not commit a checkpoint; this iteration will not be rolled back."
+            return 0
+        fi
+    fi
+    CHECKPOINT=$(git rev-parse -q --verify HEAD || true)
+    [ -n "$CHECKPOINT" ] && emit_event checkpoint --arg hash "$CHECKPOINT"
+    return 0
+}
+
+# Undo the current iteration back to its checkpoint according to --on-failure.
+# Ralph's own files survive the reset: the loop log, progress.txt learnings
+# and the attempts/blocked bookkeeping in prd.json.
+rollback_iteration() {
+    [ "$ON_FAILURE" != "keep" ] && [ -n "$CHECKPOINT" ] || return 0
+
+    # Nothing to undo if the iteration only touched Ralph's own files
+    if [ "$(git rev-parse HEAD)" = "$CHECKPOINT" ] && \
+        [ -z "$(git status --porcelain -- . ':(exclude)prd.json' ':(exclude)progress.txt' ':(exclude)logs/ralph_*.log')" ]; then
+        return 0
+    fi
+
+    local side_branch=""
+    if [ "$ON_FAILURE" = "branch" ]; then
+        if [ -n "$(git status --porcelain)" ]; then
+            git add -A
+            git commit -q -m "Ralph: Failed iteration $((ITERATION_BASE + ITERATION)) ($STORY_ID)" || true
+        fi
+        if [ "$(git rev-parse HEAD)" != "$CHECKPOINT" ]; then
+            side_branch="ralph/failed/$RUN_LABEL-iteration-$((ITERATION_BASE + ITERATION))"
+            git branch -f "$side_branch" HEAD
+        fi
+    fi
+
+    local saved
+    saved=$(mktemp -d)
+    cp "$PRD_FILE" "$saved/prd.json" 2>/dev/null || true
+    cp "$PROGRESS_FILE" "$saved/progress.txt" 2>/dev/null || true
+    cp "$LOG_FILE" "$saved/ralph.log" 2>/dev/null || true
+
+    git reset -q --hard "$CHECKPOINT"
+    git clean -qfd
+
+    mkdir -p "$LOG_DIR"
+    cp "$saved/ralph.log" "$LOG_FILE" 2>/dev/null || true
+    cp "$saved/progress.txt" "$PROGRESS_FILE" 2>/dev/null || true
+    if jq -e . "$saved/prd.json" &> /dev/null; then
+        jq --slurpfile current "$saved/prd.json" '
+            ($current[0].userStories // [] | map({ key: .id, value: { attempts, blocked, blockedReason } }) | from_entries) as $keep
+            | .userStories |= map(. + (($keep[.id] // {}) | with_entries(select(.value != null))))' \
+            "$PRD_FILE" > "${PRD_FILE}.tmp"
+        mv "${PRD_FILE}.tmp" "$PRD_FILE"
+    else
+        update_story "$STORY_ID" --argjson attempt "$ATTEMPT" '.attempts = $attempt'
+    fi
+    rm -rf "$saved"
+
+    log "Reset to checkpoint $(git rev-parse --short "$CHECKPOINT")${side_branch:+ (work kept on $side_branch)}"
+    emit_event rollback --arg storyId "$STORY_ID" --arg checkpoint "$CHECKPOINT" --arg mode "$ON_FAILURE" --arg branch "$side_branch"
+}
+
+# Stopping the job mid-iteration rolls the iteration back like a failure
+on_interrupt() {
+    trap - TERM INT
+    if [ "$IN_ITERATION" = true ]; then
+        error "Interrupted during iteration $ITERATION"
+        rollback_iteration
+    fi
+    exit 130
+}
+
+# Run the configured checks in the project. Sets CHECKS_PASSED (true/false),
+# CHECK_RESULTS (JSON array for the checks event) and CHECK_OUTPUT (output of
+# the failed checks)
+run_checks() {
+    CHECKS_PASSED=true
+    CHECK_RESULTS='[]'
+    CHECK_OUTPUT=""
+    local count i name command limit output code started
+    count=$(echo "$CHECKS" | jq 'length')
+
+    for ((i = 0; i < count; i++)); do
+        name=$(echo "$CHECKS" | jq -r ".[$i].name")
+        command=$(echo "$CHECKS" | jq -r ".[$i].command")
+        limit=$(echo "$CHECKS" | jq -r ".[$i].timeoutSeconds // $CHECK_TIMEOUT")
+
+        log "Check $name: $command"
+        started=$SECONDS
+        code=0
+        if command -v timeout &> /dev/null; then
+            output=$(cd "$PROJECT_ROOT" && timeout "$limit" bash -c "$command" 2>&1 < /dev/null) || code=$?
+        else
+            output=$(cd "$PROJECT_ROOT" && bash -c "$command" 2>&1 < /dev/null) || code=$?
+        fi
+        output=$(echo "$output" | tail -c 4000)
+
+        if [ "$code" -eq 0 ]; then
+            success "Check $name passed"
+        else
+            CHECKS_PASSED=false
+            error "Check $name failed (exit $code)"
+            echo "$output" | tail -n 40
+            CHECK_OUTPUT+="$name (exit $code):"$'\n'"$output"$'\n'
+        fi
+
+        CHECK_RESULTS=$(echo "$CHECK_RESULTS" | jq -c --arg name "$name" --arg command "$command" \
+            --argjson exitCode "$code" --argjson durationSeconds "$((SECONDS - started))" --arg output "$output" \
+            '. + [{ $name, $command, $exitCode, passed: ($exitCode == 0), $durationSeconds, $output }]')
+    done
+}
+
 # Ensure required files exist
 mkdir -p "$LOG_DIR"
 
+# Keep the loop's own log out of commits, checkpoints and rollbacks
+EXCLUDE_FILE=$(git rev-parse --git-path info/exclude 2>/dev/null || true)
+if [ -n "$EXCLUDE_FILE" ] && ! grep -qxF '/logs/ralph_*.log' "$EXCLUDE_FILE" 2>/dev/null; then
+    mkdir -p "$(dirname "$EXCLUDE_FILE")"
+    echo '/logs/ralph_*.log' >> "$EXCLUDE_FILE"
+fi
+
 if [ ! -f "$PRD_FILE" ]; then
     error "No prd.json found. Create one first or use the PRD skill."
+    emit_event error --arg reason "no_prd" --arg message "No prd.json found"
     echo ""
     echo "Example prd.json structure:"
     cat << 'EOF'
@@ -100,6 +370,12 @@ check_tool() {
 
 check_tool "jq"
 check_tool "git"
+check_tool "node"
+
+AGENT_RUNNER="$SCRIPT_DIR/agent.js"
+if ! AGENT_CHECK=$(node "$AGENT_RUNNER" --agent "$TOOL" --check); then
+    fail "tool_missing" "Agent $TOOL cannot run: $AGENT_CHECK"
+fi
 
 # Get branch name from PRD
 BRANCH_NAME=$(jq -r '.branchName // "feature/ralph-work"' "$PRD_FILE")
@@ -109,6 +385,11 @@ log "Starting Ralph loop for: $FEATURE_NAME"
 log "Branch: $BRANCH_NAME"
 log "Max iterations: $MAX_ITERATIONS"
 log "Tool: $TOOL"
+log "Model: ${MODEL:-agent default}"
+log "Pause between iterations: ${PAUSE_SECONDS}s"
+log "Attempts per story: $MAX_ATTEMPTS (escalate to manager: $ESCALATE)"
+log "Failed iterations: $ON_FAILURE"
+log "Quality checks: $(echo "$CHECKS" | jq -r 'if length == 0 then "none" else map(.name) | join(", ") end')"
 echo ""
 
 # Create or switch to feature branch
@@ -122,137 +403,189 @@ if [ "$CURRENT_BRANCH" != "$BRANCH_NAME" ]; then
     log "Switched to branch: $BRANCH_NAME"
 fi
 
+# Stories still to do, and those given up on after too many attempts
+INCOMPLETE_STORIES='[.userStories[] | select(.passes == false and .blocked != true)]'
+BLOCKED_STORIES='[.userStories[] | select(.passes == false and .blocked == true)]'
+
+# Incomplete stories with no unfinished dependsOn entries, highest priority first
+READY_STORIES='(.userStories | map(select(.passes == true) | .id)) as $done
+    | [.userStories[] | select(.passes == false and .blocked != true) | select(((.dependsOn // []) - $done) | length == 0)]
+    | sort_by(.priority)'
+
+trap on_interrupt TERM INT
+
 # Main loop
 ITERATION=0
+IN_ITERATION=false
 while [ $ITERATION -lt $MAX_ITERATIONS ]; do
-    ((ITERATION++))
+    ITERATION=$((ITERATION + 1))
     echo ""
     echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
     log "Iteration $ITERATION / $MAX_ITERATIONS"
     echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
+    emit_event iteration_started --argjson maxIterations "$MAX_ITERATIONS"
 
-    # Check if all stories are complete
-    INCOMPLETE_COUNT=$(jq '[.userStories[] | select(.passes == false)] | length' "$PRD_FILE")
+    # Check if all stories are complete. Blocked stories won't be picked up
+    # again, so the loop is done once the rest have passed.
+    INCOMPLETE_COUNT=$(jq "$INCOMPLETE_STORIES | length" "$PRD_FILE")
 
     if [ "$INCOMPLETE_COUNT" -eq 0 ]; then
-        success "All stories complete!"
+        BLOCKED_COUNT=$(jq "$BLOCKED_STORIES | length" "$PRD_FILE")
+        if [ "$BLOCKED_COUNT" -eq 0 ]; then
+            success "All stories complete!"
+        else
+            success "All stories complete except $BLOCKED_COUNT blocked: $(jq -r "$BLOCKED_STORIES | map(.id) | join(\", \")" "$PRD_FILE")"
+        fi
         echo "<promise>COMPLETE</promise>"
 
         # Final commit
         if [ -n "$(git status --porcelain 2>/dev/null)" ]; then
             git add -A
-            git commit -m "Ralph: All PRD items complete" || true
+            if git commit -m "Ralph: All PRD items complete"; then
+                emit_event commit --arg hash "$(git rev-parse --short HEAD)" --arg message "Ralph: All PRD items complete"
+            fi
         fi
 
+        emit_event complete --argjson blocked "$BLOCKED_COUNT"
         exit 0
     fi
 
     log "Remaining stories: $INCOMPLETE_COUNT"
 
-    # Get the highest priority incomplete story
-    CURRENT_STORY=$(jq -r '[.userStories[] | select(.passes == false)] | sort_by(.priority) | first' "$PRD_FILE")
-    STORY_ID=$(echo "$CURRENT_STORY" | jq -r '.id')
-    STORY_TITLE=$(echo "$CURRENT_STORY" | jq -r '.title')
-
-    log "Working on: [$STORY_ID] $STORY_TITLE"
-
-    # Build the prompt for this iteration
-    PROMPT=$(cat << EOF
-You are Ralph, an autonomous AI coding agent working on: $FEATURE_NAME
+    # Fold old learnings into a summary once progress.txt gets large, so the
+    # agent's fresh context isn't spent re-reading them
+    COMPACTED=$(node "$SCRIPT_DIR/progress.js" compact "$PROGRESS_FILE") || COMPACTED=""
+    if [ -n "$COMPACTED" ]; then
+        log "Compacted $(echo "$COMPACTED" | jq -r '.compacted') old learnings in progress.txt"
+        DROPPED=$(echo "$COMPACTED" | jq '.dropped')
+        if [ "$DROPPED" -gt 0 ]; then
+            log "Dropped the $DROPPED oldest summary lines to fit the summary's size cap"
+        fi
+        emit_event learnings_compacted --argjson compacted "$(echo "$COMPACTED" | jq '.compacted')" \
+            --argjson dropped "$DROPPED" --argjson bytesBefore "$(echo "$COMPACTED" | jq '.bytesBefore')" --argjson bytesAfter "$(echo "$COMPACTED" | jq '.bytesAfter')"
+    fi
 
-## Current Task
-**Story ID:** $STORY_ID
-**Title:** $STORY_TITLE
-**Description:** $(echo "$CURRENT_STORY" | jq -r '.description')
+    create_checkpoint
+    IN_ITERATION=true
 
-**Acceptance Criteria:**
-$(echo "$CURRENT_STORY" | jq -r '.acceptanceCriteria | map("- " + .) | join("\n")')
+    # Get the highest priority incomplete story whose dependencies have all passed
+    CURRENT_STORY=$(jq -c "$READY_STORIES | first" "$PRD_FILE")
+    if [ "$CURRENT_STORY" = "null" ]; then
+        fail "no_ready_story" "No story is ready: every remaining story waits on an incomplete or blocked dependency."
+    fi
+    STORY_ID=$(echo "$CURRENT_STORY" | jq -r '.id')
+    STORY_TITLE=$(echo "$CURRENT_STORY" | jq -r '.title')
+    ATTEMPT=$(( $(echo "$CURRENT_STORY" | jq -r '.attempts // 0') + 1 ))
+    update_story "$STORY_ID" --argjson attempt "$ATTEMPT" '.attempts = $attempt'
 
-## Your Instructions
+    log "Working on: [$STORY_ID] $STORY_TITLE (attempt $ATTEMPT/$MAX_ATTEMPTS)"
+    emit_event story_started --arg storyId "$STORY_ID" --arg title "$STORY_TITLE" --argjson attempt "$ATTEMPT"
 
-1. **Implement** this single story completely
-2. **Run quality checks** (typecheck, lint, test as appropriate)
-3. **If checks pass:**
-   - Commit your changes with message: "Ralph: Complete $STORY_ID - $STORY_TITLE"
-   - Update prd.json to set this story's "passes" to true
-   - Append learnings to progress.txt
-4. **If checks fail:**
-   - Fix the issues and try again
-   - Do NOT mark the story as complete until checks pass
+    # Build the prompt for this iteration from the repo's template
+    # (RALPH_PROMPT_TEMPLATE, else the built-in one in prompts.js)
+    if ! PROMPT=$(node "$SCRIPT_DIR/prompt.js" ralph "$PROJECT_ROOT" --story "$STORY_ID" \
+        --attempt "$ATTEMPT" --max-attempts "$MAX_ATTEMPTS"); then
+        fail "prompt_failed" "Could not render the prompt for $STORY_ID"
+    fi
 
-## Context Files
-- prd.json: Full task list with completion status
-- progress.txt: Learnings from previous iterations
+    # Run the agent. Its progress goes to the job log; the JSON result
+    # carries the output, token usage and why it stopped.
+    cd "$PROJECT_ROOT"
+    PROGRESS_BEFORE=$(mktemp)
+    cp "$PROGRESS_FILE" "$PROGRESS_BEFORE" 2>/dev/null || true
+    RAW=$(echo "$PROMPT" | RALPH_STORY_ID="$STORY_ID" RALPH_ATTEMPT="$ATTEMPT" \
+        node "$AGENT_RUNNER" --agent "$TOOL" --model "$MODEL" --cwd "$PROJECT_ROOT") || true
+    if echo "$RAW" | jq -e '.exitReason' &> /dev/null; then
+        RESULT=$(echo "$RAW" | jq -r '.output')
+        EXIT_REASON=$(echo "$RAW" | jq -r '.exitReason')
+        report_usage "$RAW"
+    else
+        RESULT="$RAW"
+        EXIT_REASON="error"
+    fi
+    echo "$RESULT" | tee -a "$LOG_FILE"
+    [ "$EXIT_REASON" = "completed" ] || error "Agent stopped: $EXIT_REASON"
+
+    # File what the agent appended to progress.txt under this story and iteration
+    LEARNING=$(node "$SCRIPT_DIR/progress.js" record "$PROGRESS_FILE" --before "$PROGRESS_BEFORE" \
+        --story "$STORY_ID" --iteration "$((ITERATION_BASE + ITERATION))") || LEARNING=""
+    rm -f "$PROGRESS_BEFORE"
+    if [ -n "$LEARNING" ]; then
+        emit_event learning --arg storyId "$STORY_ID" --arg entryId "$(echo "$LEARNING" | jq -r '.id')"
+    fi
 
-## Completion Signal
-When this story passes all checks and is marked complete, output exactly:
-\`<promise>DONE</promise>\`
+    # Run the repo's checks ourselves rather than taking the agent's word
+    CHECKS_PASSED=true
+    if [ "$(echo "$CHECKS" | jq 'length')" -gt 0 ]; then
+        run_checks
+        emit_event checks --arg storyId "$STORY_ID" --argjson passed "$CHECKS_PASSED" --argjson results "$CHECK_RESULTS"
 
-Do NOT output this signal until the story is verified complete.
-EOF
-)
-
-    # Execute the AI tool
-    if [ "$TOOL" = "claude" ]; then
-        if command -v claude &> /dev/null; then
-            cd "$PROJECT_ROOT"
-            # Grant permissions for reading, writing, and git operations
-            RESULT=$(echo "$PROMPT" | claude -p . --print --allowed-tools "Read Write Edit Bash(git:*) Bash(npm:*)" 2>&1) || true
-            echo "$RESULT" | tee -a "$LOG_FILE"
-        else
-            log "Claude CLI not found. Running in simulation mode."
-            RESULT="[Simulation] Would implement: $STORY_TITLE"
-            echo "$RESULT" | tee -a "$LOG_FILE"
-
-            # Simulate completion after some iterations for testing
-            if [ $ITERATION -ge 2 ]; then
-                # Mark story complete in simulation
-                jq --arg id "$STORY_ID" '(.userStories[] | select(.id == $id)).passes = true' "$PRD_FILE" > "${PRD_FILE}.tmp"
-                mv "${PRD_FILE}.tmp" "$PRD_FILE"
-                RESULT="<promise>DONE</promise>"
-            fi
-        fi
-    elif [ "$TOOL" = "amp" ]; then
-        if command -v amp &> /dev/null; then
-            cd "$PROJECT_ROOT"
-            RESULT=$(echo "$PROMPT" | amp --print 2>&1) || true
-            echo "$RESULT" | tee -a "$LOG_FILE"
-        else
-            error "Amp CLI not found."
-            exit 1
+        if [ "$CHECKS_PASSED" = false ] && \
+            jq -e --arg id "$STORY_ID" '[.userStories[] | select(.id == $id and .passes == true)] | length > 0' "$PRD_FILE" &> /dev/null; then
+            update_story "$STORY_ID" '.passes = false'
+            log "Checks failed: rolled back passes for $STORY_ID"
         fi
     fi
 
     # Check for story completion
-    if echo "$RESULT" | grep -q "<promise>DONE</promise>"; then
+    OUTCOME="incomplete"
+    FAILURE_OUTPUT="$RESULT"
+    if [ "$CHECKS_PASSED" = false ]; then
+        OUTCOME="checks_failed"
+        FAILURE_OUTPUT="$CHECK_OUTPUT"
+        error "Story $STORY_ID not complete: quality checks failed."
+    elif echo "$RESULT" | grep -q "<promise>DONE</promise>"; then
+        OUTCOME="passed"
         success "Story $STORY_ID completed!"
 
         # Commit if there are changes
         cd "$PROJECT_ROOT"
         if [ -n "$(git status --porcelain 2>/dev/null)" ]; then
             git add -A
-            git commit -m "Ralph: Complete $STORY_ID - $STORY_TITLE" || true
-            log "Changes committed"
+            if git commit -m "Ralph: Complete $STORY_ID - $STORY_TITLE"; then
+                log "Changes committed"
+                emit_event commit --arg storyId "$STORY_ID" --arg hash "$(git rev-parse --short HEAD)" --arg message "Ralph: Complete $STORY_ID - $STORY_TITLE"
+            fi
         fi
+
+        PRD_PASSES=$(jq --arg id "$STORY_ID" '[.userStories[] | select(.id == $id) | .passes == true] | any' "$PRD_FILE")
+        emit_event story_passed --arg storyId "$STORY_ID" --arg title "$STORY_TITLE" --argjson prdPasses "$PRD_PASSES"
     fi
 
-    # Safety checks
-    if echo "$RESULT" | grep -q "Rate limit exceeded"; then
-        error "Rate limit exceeded. Stopping to save budget."
-        exit 1
+    # Start the next iteration from a clean tree, then give up on a story
+    # that keeps failing
+    if [ "$OUTCOME" != "passed" ]; then
+        rollback_iteration
+        ATTEMPT=$(jq --arg id "$STORY_ID" '[.userStories[] | select(.id == $id) | .attempts // 0] | first // 0' "$PRD_FILE")
+        if [ "$ATTEMPT" -ge "$MAX_ATTEMPTS" ]; then
+            OUTCOME="blocked"
+            block_story "$STORY_ID" "$STORY_TITLE" "$ATTEMPT" "$FAILURE_OUTPUT"
+        fi
     fi
 
-    if echo "$RESULT" | grep -q "API key"; then
-        error "API key error. Check your configuration."
-        exit 1
+    IN_ITERATION=false
+    emit_event iteration_finished --arg storyId "$STORY_ID" --arg outcome "$OUTCOME" --arg head "$(git rev-parse -q --verify HEAD || true)"
+
+    if [ "$OUTCOME" = "blocked" ] && [ "$ESCALATE" = true ]; then
+        escalate_story "$STORY_ID"
     fi
 
+    # Safety checks
+    case "$EXIT_REASON" in
+        rate_limit) fail "rate_limit" "Rate limit exceeded. Stopping to save budget." ;;
+        auth) fail "api_key" "API key error. Check your configuration." ;;
+        unavailable) fail "tool_missing" "Agent $TOOL is unavailable: $RESULT" ;;
+    esac
+
     # Brief pause between iterations
-    sleep 2
+    sleep "$PAUSE_SECONDS"
 done
 
 echo ""
+REMAINING=$(jq "$INCOMPLETE_STORIES | length" "$PRD_FILE")
+BLOCKED_COUNT=$(jq "$BLOCKED_STORIES | length" "$PRD_FILE")
 error "Max iterations ($MAX_ITERATIONS) reached without completing all stories."
-REMAINING=$(jq '[.userStories[] | select(.passes == false)] | length' "$PRD_FILE")
-log "Remaining incomplete stories: $REMAINING"
+log "Remaining incomplete stories: $REMAINING (blocked: $BLOCKED_COUNT)"
+emit_event error --arg reason "max_iterations" --arg message "Max iterations ($MAX_ITERATIONS) reached" \
+    --argjson remaining "$REMAINING" --argjson blocked "$BLOCKED_COUNT"
 exit 1
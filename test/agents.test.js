@@ -0,0 +1,33 @@
+// The run_command tool of the openai agent (agents.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitCommand } = require('../agents');
+
+test('splitCommand splits plain git and npm commands into arguments', () => {
+  assert.deepEqual(splitCommand('npm test'), ['npm', 'test']);
+  assert.deepEqual(splitCommand(`git commit -m 'a message' --author "A a@b.c"`), ['git', 'commit', '-m', 'a message', '--author', 'A a@b.c']);
+  assert.deepEqual(splitCommand('git log --oneline -5'), ['git', 'log', '--oneline', '-5']);
+});
+
+test('splitCommand refuses shells, other programs and git options before the subcommand', () => {
+  ['npm test; rm -rf /', 'git status && id', 'git log | sh', 'echo $HOME', 'git status > out', 'git log `id`']
+    .forEach(command => assert.throws(() => splitCommand(command), /only plain git and npm/, command));
+  ['sh -c id', 'node -e 1', 'npx something']
+    .forEach(command => assert.throws(() => splitCommand(command), /only git and npm/, command));
+  ['git -c core.pager=id log', 'git --exec-path=/tmp status', 'git']
+    .forEach(command => assert.throws(() => splitCommand(command), /must start with a subcommand/, command));
+});
+
+test('splitCommand refuses git subcommands and options that run other programs', () => {
+  [
+    `git config alias.x '!sh -c id'`,
+    'git config core.sshCommand id',
+    'git submodule foreach id',
+    'git rebase -x id HEAD~1',
+    'git bisect run id',
+    'git difftool --extcmd=id',
+    'git fetch --upload-pack=id origin',
+    'git push --receive-pack id origin',
+    'git archive --exec=id --remote=origin HEAD'
+  ].forEach(command => assert.throws(() => splitCommand(command), /is not allowed here/, command));
+});
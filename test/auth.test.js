@@ -0,0 +1,129 @@
+// Logins, sessions, API tokens and roles (auth.js and the server's guards on
+// the API and WebSocket)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const auth = require('../auth');
+const { client, login, startDashboard } = require('./support/dashboard');
+
+function dashboard(t) {
+  return startDashboard(t, fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-auth-test-')));
+}
+
+// Status of a WebSocket upgrade: 101 when it is accepted
+function upgradeStatus(port, headers) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}`, { headers });
+    socket.on('open', () => {
+      socket.close();
+      resolve(101);
+    });
+    socket.on('unexpected-response', (req, res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    socket.on('error', reject);
+  });
+}
+
+test('passwords, tokens and roles in auth.js', async () => {
+  const stored = await auth.hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(await auth.verifyPassword('correct horse', stored), true);
+  assert.equal(await auth.verifyPassword('wrong horse', stored), false);
+  assert.equal(await auth.verifyPassword('correct horse', 'plain'), false);
+
+  const token = auth.generateToken(auth.API_TOKEN_PREFIX);
+  assert.deepEqual(auth.getCredentials({ headers: { authorization: `Bearer ${token}` } }), { type: 'token', secret: token });
+  assert.deepEqual(auth.getCredentials({ headers: { cookie: 'theme=dark; ralph_session=abc%20d' } }), { type: 'session', secret: 'abc d' });
+  assert.equal(auth.getCredentials({ headers: { cookie: 'theme=dark' } }), null);
+  assert.equal(auth.hashToken(token), auth.hashToken(token));
+  assert.notEqual(auth.hashToken(token), token);
+
+  assert.equal(auth.hasRole({ role: 'admin' }, 'operator'), true);
+  assert.equal(auth.hasRole({ role: 'operator' }, 'operator'), true);
+  assert.equal(auth.hasRole({ role: 'viewer' }, 'operator'), false);
+  assert.equal(auth.hasRole(null, 'viewer'), false);
+});
+
+test('the API needs a signed-in user with the role for the route', async t => {
+  const { base, api } = await dashboard(t);
+  const anonymous = client(base);
+  assert.equal((await anonymous('GET', '/api/jobs')).status, 401);
+  assert.equal((await anonymous('POST', '/api/repos/clone', { url: 'https://example.com/a.git' })).status, 401);
+  assert.equal((await client(base, { Cookie: 'ralph_session=forged' })('GET', '/api/jobs')).status, 401);
+
+  assert.equal((await api('POST', '/api/users', { username: 'vera', password: 'viewer-password', role: 'viewer' })).status, 200);
+  assert.equal((await api('POST', '/api/users', { username: 'otto', password: 'operator-password', role: 'operator' })).status, 200);
+
+  // Viewers read, but change nothing
+  const viewer = client(base, { Cookie: await login(base, 'vera', 'viewer-password') });
+  assert.equal((await viewer('GET', '/api/jobs')).status, 200);
+  const refused = await viewer('POST', '/api/repos/clone', { url: 'https://example.com/a.git' });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'Requires the operator role');
+  assert.equal((await viewer('POST', '/api/ralph', { repo: 'widgets' })).status, 403);
+
+  // Operators run jobs, but admin routes stay closed
+  const operator = client(base, { Cookie: await login(base, 'otto', 'operator-password') });
+  assert.equal((await operator('POST', '/api/ralph', { repo: 'widgets' })).status, 404);
+  for (const [method, url, body] of [
+    ['GET', '/api/users'],
+    ['POST', '/api/users', { username: 'mallory', password: 'mallory-password', role: 'admin' }],
+    ['GET', '/api/audit'],
+    ['POST', '/api/budgets', { scope: 'monthly', amount: 1 }],
+    ['POST', '/api/repos/widgets/agent', { agent: 'fake' }]
+  ]) {
+    const res = await operator(method, url, body);
+    assert.equal(res.status, 403, `${method} ${url}`);
+    assert.equal(res.body.error, 'Requires the admin role');
+  }
+
+  // Bearer tokens act as their owner until revoked
+  const created = await operator('POST', '/api/tokens', { name: 'ci' });
+  assert.equal(created.status, 200);
+  assert.ok(created.body.token.startsWith(auth.API_TOKEN_PREFIX));
+  const script = client(base, { Authorization: `Bearer ${created.body.token}` });
+  const me = await script('GET', '/api/auth/me');
+  assert.equal(me.status, 200);
+  assert.equal(me.body.user.username, 'otto');
+  assert.equal(me.body.via, 'token');
+  assert.equal((await script('GET', '/api/users')).status, 403);
+  assert.equal((await operator('DELETE', `/api/tokens/${created.body.id}`)).status, 200);
+  assert.equal((await script('GET', '/api/auth/me')).status, 401);
+
+  // Signing out ends the session
+  assert.equal((await operator('POST', '/api/auth/logout')).status, 200);
+  assert.equal((await operator('GET', '/api/jobs')).status, 401);
+});
+
+test('WebSocket upgrades need a session and the dashboard\'s own origin', async t => {
+  const { base, port } = await dashboard(t);
+  const Cookie = await login(base, 'admin', 'test-password');
+  const host = `127.0.0.1:${port}`;
+
+  assert.equal(await upgradeStatus(port, { Cookie, Origin: `http://${host}` }), 101);
+  assert.equal(await upgradeStatus(port, { Cookie }), 101);
+  assert.equal(await upgradeStatus(port, { Origin: `http://${host}` }), 401);
+  assert.equal(await upgradeStatus(port, { Cookie: 'ralph_session=forged', Origin: `http://${host}` }), 401);
+  assert.equal(await upgradeStatus(port, { Cookie, Origin: 'https://evil.example' }), 403);
+  assert.equal(await upgradeStatus(port, { Cookie, Origin: 'null' }), 403);
+});
+
+test('logins are locked out after five failures', async t => {
+  const { base } = await dashboard(t);
+  for (let i = 0; i < 5; i++) {
+    const res = await client(base)('POST', '/api/auth/login', { username: 'admin', password: 'wrong-password' });
+    assert.equal(res.status, 401);
+  }
+
+  // Even the right password is refused now, for this user only
+  const locked = await client(base)('POST', '/api/auth/login', { username: 'admin', password: 'test-password' });
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.error, 'Too many failed logins. Try again later.');
+  const other = await client(base)('POST', '/api/auth/login', { username: 'nobody', password: 'wrong-password' });
+  assert.equal(other.status, 401);
+});
@@ -0,0 +1,53 @@
+// Budget caps: refusing new jobs, halting running ones and rechecking queued
+// ones, with Ralph jobs run by the fake agent
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOrigin, finishedJob, startDashboard } = require('./support/dashboard');
+
+const PRD = {
+  featureName: 'Widgets',
+  branchName: 'feature/widgets',
+  userStories: ['story-1', 'story-2', 'story-3'].map((id, index) => (
+    { id, title: `Story ${id}`, description: `Implement ${id}`, acceptanceCriteria: [`${id} works`], priority: index + 1, passes: false }
+  ))
+};
+
+test('a budget halts the running job, skips queued ones and refuses new ones', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-budget-test-'));
+  const origin = createOrigin(dir);
+
+  const { api } = await startDashboard(t, dir, { RALPH_CHECKS: '[]' });
+  assert.equal((await api('POST', '/api/repos/clone', { url: origin })).status, 200);
+  assert.equal((await api('POST', '/api/repos/origin/prd', PRD)).status, 200);
+
+  // The fake agent reports usage, priced here at the Opus rate: the first
+  // iteration spends more than the whole month's budget
+  assert.equal((await api('POST', '/api/budgets', { scope: 'monthly', amount: 0.000001 })).status, 200);
+  const ralph = { repo: 'origin', tool: 'fake', model: 'claude-3-opus-20240229', pauseSeconds: 1 };
+  const running = await api('POST', '/api/ralph', ralph);
+  assert.equal(running.status, 200, JSON.stringify(running.body));
+  assert.equal(running.body.status, 'running');
+  const queued = await api('POST', '/api/ralph', ralph);
+  assert.equal(queued.body.queuePosition, 1);
+
+  const halted = await finishedJob(api, running.body.jobId);
+  const log = (await api('GET', `/api/jobs/${halted.id}/logs`)).body.data;
+  assert.equal(halted.status, 'budget_exceeded', log);
+  assert.ok(halted.cost > 0.000001);
+  assert.match(log, /\[Budget\] Budget exceeded: monthly budget of \$0\.00 reached/);
+
+  // The queued job is checked again before it starts
+  const skipped = await finishedJob(api, queued.body.jobId);
+  assert.equal(skipped.status, 'budget_exceeded');
+  assert.equal(skipped.cost, 0);
+  assert.match((await api('GET', `/api/jobs/${skipped.id}/logs`)).body.data, /\[Budget\] .*Job not started/);
+
+  const refused = await api('POST', '/api/ralph', ralph);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.budget.scope, 'monthly');
+  assert.match(refused.body.error, /^Budget exceeded: monthly budget/);
+  assert.equal((await api('POST', `/api/jobs/${halted.id}/resume`)).status, 403);
+});
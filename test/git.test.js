@@ -0,0 +1,113 @@
+// Validation of request input before it reaches git (git.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const git = require('../git');
+
+const REPOS_DIR = path.resolve('/srv/ralph/repos');
+
+function assertRejected(fn, field) {
+  assert.throws(fn, err => err instanceof git.GitInputError && err.statusCode === 400 && err.field === field);
+}
+
+test('assertRef accepts ordinary branch names', () => {
+  ['main', 'feature/dark-mode', 'ralph/failed/job-3-iteration-2', 'release-1.2'].forEach(name => {
+    assert.equal(git.assertRef(name), name);
+  });
+});
+
+test('assertRef rejects option injection', () => {
+  ['--upload-pack=touch /tmp/pwned', '-f', '--force'].forEach(name => assertRejected(() => git.assertRef(name), 'branch'));
+  assertRejected(() => git.assertRef('--upload-pack=x', 'base'), 'base');
+});
+
+test('assertRef rejects traversal, NUL bytes, spaces and shell metacharacters', () => {
+  [
+    '../main', 'feature/../../etc', 'a..b', 'main\0', 'has space', 'tab\tname',
+    'a;rm -rf ~', 'x$(id)', 'x`id`', 'a|b', 'a&&b', 'a~1', 'a^', 'a:b', 'a?', 'a*', 'a[0]', 'a\\b',
+    '/abs', 'trailing/', 'x.lock', '.hidden', 'a//b', 'x@{1}', '@', '', 'end.'
+  ].forEach(name => assertRejected(() => git.assertRef(name), 'branch'));
+  [null, undefined, 42, ['main']].forEach(name => assertRejected(() => git.assertRef(name), 'branch'));
+});
+
+test('assertRepoName accepts plain directory names', () => {
+  ['my-app', 'repo.js', 'Repo_2'].forEach(name => assert.equal(git.assertRepoName(name), name));
+});
+
+test('assertRepoName rejects paths, option-like, NUL and shell metacharacters', () => {
+  [
+    '..', '.', '../etc', 'a/b', '/etc', 'a\\b', 'my repo', 'a\0b', 'a;b', 'a$(id)', 'a`id`', 'a|b', 'a&b', 'a>b', '',
+    'x'.repeat(101)
+  ].forEach(name => assertRejected(() => git.assertRepoName(name), 'repo'));
+  assertRejected(() => git.assertRepoName(undefined), 'repo');
+});
+
+test('resolveRepoPath keeps repositories inside the repos directory', () => {
+  assert.equal(git.resolveRepoPath(REPOS_DIR, 'my-app'), path.join(REPOS_DIR, 'my-app'));
+  ['..', '../other', '../../etc/passwd', '/etc', 'a/../../x', 'a\0', 'with space'].forEach(name => {
+    assertRejected(() => git.resolveRepoPath(REPOS_DIR, name), 'repo');
+  });
+});
+
+test('assertPaths accepts files inside the repository', () => {
+  const files = ['src/index.js', 'README.md', './lib/a.js', 'docs/../notes.txt'];
+  assert.deepEqual(git.assertPaths(path.join(REPOS_DIR, 'app'), files), files);
+});
+
+test('assertPaths rejects traversal, absolute paths, NUL bytes and .git', () => {
+  const repoPath = path.join(REPOS_DIR, 'app');
+  [
+    ['../other/file'], ['src/../../secret'], ['/etc/passwd'], [path.join(REPOS_DIR, 'app', 'x')], ['a\0b'], [''],
+    ['.git/config'], ['sub/.git/hooks/pre-commit'], ['ok.js', '../../bad'], [42]
+  ].forEach(files => assertRejected(() => git.assertPaths(repoPath, files), 'files'));
+  assertRejected(() => git.assertPaths(repoPath, 'src/index.js'), 'files');
+});
+
+test('assertPaths treats option-like names as files, staged after --', () => {
+  const repoPath = path.join(REPOS_DIR, 'app');
+  assert.deepEqual(git.assertPaths(repoPath, ['--force']), ['--force']);
+});
+
+test('assertCloneUrl accepts remote URLs', () => {
+  [
+    'https://github.com/owner/repo.git', 'http://git.example.com/repo', 'ssh://git@github.com/owner/repo.git',
+    'git://example.com/repo.git', 'git@github.com:owner/repo.git', 'https://user@host.example/r.git'
+  ].forEach(url => assert.equal(git.assertCloneUrl(url), url));
+});
+
+test('assertCloneUrl rejects option injection and command transports', () => {
+  [
+    '--upload-pack=touch /tmp/pwned', '-u', 'ext::sh -c touch% /tmp/pwned', 'ssh://-oProxyCommand=touch /tmp/pwned/x',
+    'ssh://git@-oProxyCommand=id/x', '-oProxyCommand=id@host:repo', 'git@-oProxyCommand=id:repo', 'git@host:-repo',
+    'fd::17/repo', 'https://-host/repo'
+  ].forEach(url => assertRejected(() => git.assertCloneUrl(url), 'url'));
+});
+
+test('assertCloneUrl rejects NUL bytes, whitespace and shell metacharacters outside a URL', () => {
+  [
+    'https://github.com/owner/repo\0.git', 'https://github.com/a b', 'https://github.com/a\nb',
+    'repo; rm -rf ~', '$(id)', '`id`', '', null, 'x'.repeat(2049)
+  ].forEach(url => assertRejected(() => git.assertCloneUrl(url), 'url'));
+});
+
+test('assertCloneUrl rejects file:// URLs and local paths unless allowed', () => {
+  ['file:///etc/repo.git', 'FILE:///srv/other', '/srv/secret/repo.git', '../repo', 'repo', './repo', '~/repo'].forEach(url => {
+    assertRejected(() => git.assertCloneUrl(url), 'url');
+  });
+  assert.equal(git.assertCloneUrl('file:///tmp/origin.git', true), 'file:///tmp/origin.git');
+  assert.equal(git.assertCloneUrl('/tmp/origin.git', true), '/tmp/origin.git');
+  ['../repo', 'repo', 'file://host/repo', '//host/repo'].forEach(url => {
+    assertRejected(() => git.assertCloneUrl(url, true), 'url');
+  });
+});
+
+test('repoNameFromUrl takes a valid name from the last path segment', () => {
+  assert.equal(git.repoNameFromUrl('https://github.com/owner/my-app.git'), 'my-app');
+  assert.equal(git.repoNameFromUrl('git@github.com:owner/my-app.git'), 'my-app');
+  assertRejected(() => git.repoNameFromUrl('https://github.com/owner/..'), 'repo');
+});
+
+test('run refuses non-string arguments instead of building a command line', async () => {
+  await assert.rejects(git.run(REPOS_DIR, 'status; id'), TypeError);
+  await assert.rejects(git.run(REPOS_DIR, ['status', { toString: () => '--exec=id' }]), TypeError);
+});
@@ -0,0 +1,113 @@
+// progress.txt learnings (learnings.js): parsing, recording and compaction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const learnings = require('../learnings');
+
+const PROGRESS = `# Progress Log
+Created: 2026-01-01
+
+Use pnpm, not npm.
+
+## [summary] iteration 3
+- [story-1] Tokens live in theme.css
+- [story-2] Settings are stored in localStorage
+
+## [story-3] iteration 4 (pinned)
+Never touch legacy/.
+
+## [story-4] iteration 5
+- Run the linter before committing
+### A heading the agent wrote
+Still part of story-4.
+`;
+
+// Entries story-<n> iteration <n>, each with one learning
+function numbered(count) {
+  return Array.from({ length: count }, (_, i) => `## [story-${i + 1}] iteration ${i + 1}\nLearning number ${i + 1}\n`).join('\n');
+}
+
+test('parse reads the header, notes and entries, and format writes them back', () => {
+  const doc = learnings.parse(PROGRESS);
+  assert.deepEqual(doc.header, ['# Progress Log', 'Created: 2026-01-01']);
+  assert.deepEqual(doc.entries.map(e => [e.tag, e.storyId, e.iteration, e.pinned]), [
+    ['notes', null, null, false],
+    ['summary', null, 3, false],
+    ['story-3', 'story-3', 4, true],
+    ['story-4', 'story-4', 5, false]
+  ]);
+  assert.equal(doc.entries[0].text, 'Use pnpm, not npm.');
+  assert.match(doc.entries[3].text, /### A heading the agent wrote\nStill part of story-4\.$/);
+  assert.match(doc.entries[0].id, /^[0-9a-f]{8}$/);
+
+  const text = learnings.format(doc);
+  assert.match(text, /^# Progress Log\nCreated: 2026-01-01\n\n## \[notes\]\nUse pnpm, not npm\.\n\n## \[summary\] iteration 3\n/);
+  assert.match(text, /## \[story-3\] iteration 4 \(pinned\)\nNever touch legacy\/\.\n/);
+
+  // Once formatted, the file parses to the same entries and formats the same
+  const again = learnings.parse(text);
+  assert.deepEqual(again, doc);
+  assert.equal(learnings.format(again), text);
+});
+
+test('recordAppended files what the agent appended under its story and iteration', () => {
+  const before = '# Progress Log\n';
+  const recorded = learnings.recordAppended(before, `${before}Cache the API client\n\n`, 'story-2', 7);
+  assert.equal(recorded.text, '# Progress Log\n\n## [story-2] iteration 7\nCache the API client\n');
+  assert.equal(recorded.entry.storyId, 'story-2');
+  assert.equal(recorded.entry.iteration, 7);
+  assert.equal(recorded.entry.id, learnings.parse(recorded.text).entries[0].id);
+
+  assert.equal(learnings.recordAppended(before, before, 'story-2', 7), null);
+  assert.equal(learnings.recordAppended(before, '# Rewritten\n', 'story-2', 7), null);
+});
+
+test('compact folds old entries into a summary and keeps pinned and recent ones', () => {
+  const doc = learnings.parse(`# Progress Log\n\n${numbered(6)}`);
+  doc.entries[1] = { ...doc.entries[1], pinned: true };
+  assert.equal(learnings.compact(doc, { maxBytes: 100000, keepRecent: 2 }).compacted, 0);
+
+  const { doc: compacted, compacted: folded, dropped } = learnings.compact(doc, { keepRecent: 2, force: true });
+  assert.equal(folded, 3);
+  assert.equal(dropped, 0);
+  assert.deepEqual(compacted.entries.map(e => e.tag), ['summary', 'story-2', 'story-5', 'story-6']);
+  assert.equal(compacted.entries[0].iteration, 4);
+  assert.equal(compacted.entries[0].text, '- [story-1] Learning number 1\n- [story-3] Learning number 3\n- [story-4] Learning number 4');
+  assert.equal(compacted.entries[1].pinned, true);
+  assert.deepEqual(compacted.header, ['# Progress Log']);
+
+  // Nothing new to fold: the summary alone is left as it is
+  assert.equal(learnings.compact(compacted, { keepRecent: 3, force: true }).compacted, 0);
+});
+
+test('compact folds an existing summary into the new one without duplicates', () => {
+  const doc = learnings.parse(`${PROGRESS}\n## [story-2] iteration 6\nSettings are stored in localStorage\nAdd a dark palette\n`);
+  const { doc: compacted, compacted: folded } = learnings.compact(doc, { keepRecent: 0, force: true });
+
+  assert.equal(folded, 3);
+  assert.deepEqual(compacted.entries.map(e => e.tag), ['summary', 'story-3']);
+  assert.equal(compacted.entries[0].iteration, 6);
+  assert.deepEqual(compacted.entries[0].text.split('\n'), [
+    '- Use pnpm, not npm.',
+    '- [story-1] Tokens live in theme.css',
+    '- [story-2] Settings are stored in localStorage',
+    '- [story-4] Run the linter before committing',
+    '- [story-4] Still part of story-4.',
+    '- [story-2] Add a dark palette'
+  ]);
+  assert.equal(learnings.parse(learnings.format(compacted)).entries.filter(e => e.tag === 'summary').length, 1);
+});
+
+test('compact drops the oldest summary lines past a quarter of maxBytes', () => {
+  const doc = learnings.parse(numbered(40));
+  const maxBytes = 1000;
+  assert.equal(learnings.summaryMaxBytes(maxBytes), 250);
+
+  const { doc: compacted, compacted: folded, dropped } = learnings.compact(doc, { maxBytes, keepRecent: 0 });
+  assert.equal(folded, 40);
+  const lines = compacted.entries[0].text.split('\n').map(line => line.slice(2));
+  assert.equal(lines.length + dropped, 40);
+  assert.ok(dropped > 0);
+  assert.ok(Buffer.byteLength(lines.join('\n')) <= 250);
+  assert.equal(lines.at(-1), '[story-40] Learning number 40');
+  assert.equal(lines[0], `[story-${dropped + 1}] Learning number ${dropped + 1}`);
+});
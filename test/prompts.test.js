@@ -0,0 +1,56 @@
+// Prompt templates (prompts.js) as scripts/prompt.js renders them for the job scripts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const prompts = require('../prompts');
+
+const PROMPT_SCRIPT = path.join(__dirname, '..', 'scripts', 'prompt.js');
+
+function project(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-prompt-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'prd.json'), JSON.stringify({
+    featureName: 'Widgets',
+    branchName: 'feature/widgets',
+    userStories: [
+      { id: 'story-1', title: 'Parse widgets', description: 'Read widgets.json', acceptanceCriteria: ['Parses'], priority: 1, passes: true },
+      { id: 'story-2', title: 'Render widgets', description: 'Draw them', acceptanceCriteria: ['Renders'], priority: 2, passes: false, attempts: 3, blocked: true, blockedReason: 'TypeError: canvas is undefined' }
+    ]
+  }));
+  return dir;
+}
+
+function renderPrompt(args, env = {}) {
+  return execFileSync(process.execPath, [PROMPT_SCRIPT, ...args], { env: { ...process.env, ...env }, encoding: 'utf8' });
+}
+
+test('the rewrite prompt describes the blocked story and its last failure', t => {
+  const dir = project(t);
+  const prompt = renderPrompt(['rewrite', dir, '--story', 'story-2'], { RALPH_CONVENTIONS: 'Use pnpm' });
+
+  assert.ok(prompt.includes(`story below in '${path.join(dir, 'prd.json')}' was attempted 3 times`));
+  const story = JSON.parse(/```json\n([\s\S]*?)\n```/.exec(prompt)[1]);
+  assert.equal(story.title, 'Render widgets');
+  assert.equal(story.blockedReason, undefined);
+  assert.match(prompt, /Output of the last failed attempt:\n```\nTypeError: canvas is undefined\n```/);
+  assert.match(prompt, /Replace story "story-2" with two or more smaller stories/);
+  assert.match(prompt, /Project conventions:\nUse pnpm/);
+});
+
+test('the rewrite prompt uses the template the server passes in', t => {
+  const dir = project(t);
+  const template = 'Fix {{storyId}} after {{attempts}} attempts{{#conventions}} ({{conventions}}){{/conventions}}';
+  assert.equal(prompts.validateTemplate('rewrite', template), null);
+  assert.equal(renderPrompt(['rewrite', dir, '--story', 'story-2'], { REWRITE_PROMPT_TEMPLATE: template, RALPH_CONVENTIONS: '' }), 'Fix story-2 after 3 attempts');
+  assert.match(prompts.validateTemplate('rewrite', '{{storyId}} {{request}}'), /unknown placeholders: request/);
+});
+
+test('rewriteValues defaults to the first blocked story and reports unknown ones', t => {
+  const dir = project(t);
+  assert.equal(prompts.rewriteValues(dir).storyId, 'story-2');
+  assert.equal(prompts.rewriteValues(dir, { storyId: 'story-9' }), null);
+  assert.throws(() => renderPrompt(['rewrite', dir, '--story', 'story-9'], {}), /Command failed/);
+});
@@ -0,0 +1,169 @@
+// Pull requests for PRD branches (pullRequests.js and the /pulls routes),
+// against a local fake of the GitHub API
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pullRequests = require('../pullRequests');
+const { gitIn, startDashboard } = require('./support/dashboard');
+
+const PRD = {
+  featureName: 'Dark mode',
+  branchName: 'feature/dark-mode',
+  description: 'Let users switch to a dark theme.',
+  userStories: [
+    { id: 'story-2', title: 'Add toggle', description: 'A switch in settings', acceptanceCriteria: ['Toggle is visible', 'Choice persists'], priority: 2, passes: false },
+    { id: 'story-1', title: 'Add theme tokens', description: 'CSS variables for both themes', acceptanceCriteria: ['Variables defined'], priority: 1, passes: true }
+  ]
+};
+
+// Fake GitHub API: records every request and answers from `state`
+function startFakeGitHub(state) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: req.method, url: req.url, body, authorization: req.headers.authorization });
+      const reply = (status, json) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      };
+      const pr = () => ({ ...state.pr, base: { ref: state.pr.base }, head: { sha: state.headSha } });
+      const route = `${req.method} ${req.url.split('?')[0]}`;
+
+      if (route === 'GET /repos/acme/widgets') return reply(200, { default_branch: 'main' });
+      if (route === 'GET /repos/acme/widgets/pulls') return reply(200, state.pr ? [pr()] : []);
+      if (route === 'POST /repos/acme/widgets/pulls') {
+        state.pr = { number: 7, title: body.title, html_url: 'https://github.test/acme/widgets/pull/7', state: 'open', merged: false, base: body.base };
+        return reply(201, pr());
+      }
+      if (route === 'PATCH /repos/acme/widgets/pulls/7') {
+        state.pr.title = body.title;
+        return reply(200, pr());
+      }
+      if (route === 'GET /repos/acme/widgets/pulls/7') return reply(200, pr());
+      if (route === `GET /repos/acme/widgets/commits/${state.headSha}/check-runs`) return reply(200, { check_runs: state.checkRuns });
+      if (route === `GET /repos/acme/widgets/commits/${state.headSha}/status`) return reply(200, { statuses: state.statuses });
+      if (route === 'GET /repos/acme/widgets/pulls/7/reviews') return reply(200, state.reviews);
+      reply(404, { message: `Not Found: ${route}` });
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+test('buildBody lists stories by priority with acceptance criteria and learnings', () => {
+  const body = pullRequests.buildBody({ ...PRD, issue: 12 }, '# Progress Log\n\n## [story-1] iteration 1\nUse CSS variables\n');
+  assert.match(body, /^Let users switch to a dark theme\.\n\nCloses #12\n\n1 of 2 stories pass\./);
+  assert.ok(body.indexOf('story-1: Add theme tokens') < body.indexOf('story-2: Add toggle'));
+  assert.match(body, /- \[x\] \*\*story-1: Add theme tokens\*\*\n  CSS variables for both themes\n  - Variables defined/);
+  assert.match(body, /- \[ \] \*\*story-2: Add toggle\*\*\n  A switch in settings\n  - Toggle is visible\n  - Choice persists/);
+  assert.match(body, /## Progress[\s\S]*Use CSS variables/);
+});
+
+test('summarizeChecks and summarizeReviews reduce GitHub responses to one state', () => {
+  assert.equal(pullRequests.summarizeChecks([], []), 'none');
+  assert.equal(pullRequests.summarizeChecks([{ status: 'in_progress' }], [{ state: 'success' }]), 'pending');
+  assert.equal(pullRequests.summarizeChecks([{ status: 'completed', conclusion: 'skipped' }], [{ state: 'success' }]), 'success');
+  assert.equal(pullRequests.summarizeChecks([{ status: 'completed', conclusion: 'success' }], [{ state: 'error' }]), 'failure');
+
+  const review = (login, state) => ({ user: { login }, state });
+  assert.equal(pullRequests.summarizeReviews([review('a', 'COMMENTED')]), 'pending');
+  assert.equal(pullRequests.summarizeReviews([review('a', 'APPROVED')]), 'approved');
+  assert.equal(pullRequests.summarizeReviews([review('a', 'CHANGES_REQUESTED'), review('a', 'APPROVED')]), 'approved');
+  assert.equal(pullRequests.summarizeReviews([review('a', 'APPROVED'), review('b', 'CHANGES_REQUESTED')]), 'changes_requested');
+});
+
+test('opens, updates and polls a pull request through the GitHub API', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-pr-test-'));
+
+  // Origin at .../acme/widgets.git, so the remote names the acme/widgets repo
+  const seed = path.join(dir, 'seed');
+  fs.mkdirSync(seed);
+  gitIn(seed, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(seed, 'README.md'), 'widgets\n');
+  gitIn(seed, 'add', '-A');
+  gitIn(seed, 'commit', '-qm', 'init');
+  const origin = path.join(dir, 'acme', 'widgets.git');
+  fs.mkdirSync(path.dirname(origin));
+  gitIn(dir, 'clone', '-q', '--bare', seed, origin);
+
+  const state = { pr: null, headSha: null, checkRuns: [{ status: 'in_progress' }], statuses: [], reviews: [] };
+  const github = await startFakeGitHub(state);
+  t.after(() => github.server.close());
+
+  const { api } = await startDashboard(t, dir, {
+    GITHUB_TOKEN: 'test-token',
+    GITHUB_API_URL: `http://127.0.0.1:${github.server.address().port}`,
+    PR_POLL_SECONDS: '1'
+  });
+
+  assert.equal((await api('POST', '/api/repos/clone', { url: origin })).status, 200);
+  assert.equal((await api('POST', '/api/repos/widgets/prd', PRD)).status, 200);
+
+  // The branch as Ralph leaves it, with its learnings committed
+  const checkout = path.join(dir, 'repos', 'widgets');
+  gitIn(checkout, 'checkout', '-q', '-b', PRD.branchName);
+  const progress = '# Progress Log\n\n## [story-1] iteration 1\nTheme tokens live in theme.css';
+  fs.writeFileSync(path.join(checkout, 'progress.txt'), `${progress}\n`);
+  gitIn(checkout, 'add', 'progress.txt');
+  gitIn(checkout, 'commit', '-qm', 'Ralph: Complete story-1');
+  gitIn(checkout, 'checkout', '-q', 'main');
+  state.headSha = gitIn(checkout, 'rev-parse', PRD.branchName);
+
+  const opened = await api('POST', '/api/repos/widgets/pulls', { draft: true });
+  assert.equal(opened.status, 200, JSON.stringify(opened.body));
+  assert.equal(opened.body.created, true);
+  assert.equal(opened.body.pullRequest.number, 7);
+  assert.equal(opened.body.pullRequest.checksStatus, 'pending');
+  assert.equal(opened.body.pullRequest.reviewStatus, 'pending');
+  assert.equal(gitIn(origin, 'rev-parse', PRD.branchName), state.headSha);
+
+  const created = github.requests.find(r => r.method === 'POST');
+  assert.equal(created.url, '/repos/acme/widgets/pulls');
+  assert.equal(created.authorization, 'Bearer test-token');
+  assert.equal(created.body.title, 'Dark mode');
+  assert.equal(created.body.head, PRD.branchName);
+  assert.equal(created.body.base, 'main');
+  assert.equal(created.body.draft, true);
+  assert.equal(created.body.body, pullRequests.buildBody(PRD, progress));
+  assert.match(created.body.body, /- \[x\] \*\*story-1: Add theme tokens\*\*/);
+  assert.match(created.body.body, /  - Choice persists/);
+  assert.match(created.body.body, /Theme tokens live in theme\.css/);
+  const lookup = github.requests.find(r => r.method === 'GET' && r.url.startsWith('/repos/acme/widgets/pulls?'));
+  assert.equal(lookup.url, `/repos/acme/widgets/pulls?state=open&head=${encodeURIComponent(`acme:${PRD.branchName}`)}`);
+
+  // A second call refreshes the open pull request instead of opening another
+  const renamed = { ...PRD, featureName: 'Dark mode v2' };
+  assert.equal((await api('POST', '/api/repos/widgets/prd', renamed)).status, 200);
+  const updated = await api('POST', '/api/repos/widgets/pulls', {});
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.equal(updated.body.created, false);
+  const patch = github.requests.find(r => r.method === 'PATCH');
+  assert.equal(patch.url, '/repos/acme/widgets/pulls/7');
+  assert.equal(patch.body.title, 'Dark mode v2');
+  assert.match(patch.body.body, /story-2: Add toggle/);
+  assert.equal(github.requests.filter(r => r.method === 'POST').length, 1);
+
+  // The poller picks up CI and review changes
+  state.checkRuns = [{ status: 'completed', conclusion: 'success' }];
+  state.statuses = [{ state: 'success' }];
+  state.reviews = [{ user: { login: 'reviewer' }, state: 'APPROVED' }];
+  let stored = null;
+  for (let i = 0; i < 50; i++) {
+    stored = (await api('GET', '/api/repos/widgets/pulls')).body[0];
+    if (stored.checksStatus === 'success' && stored.reviewStatus === 'approved') break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.equal(stored.checksStatus, 'success');
+  assert.equal(stored.reviewStatus, 'approved');
+  assert.equal(stored.state, 'open');
+
+  state.pr.merged = true;
+  state.pr.state = 'closed';
+  const refreshed = await api('POST', '/api/repos/widgets/pulls/7/refresh');
+  assert.equal(refreshed.body.state, 'merged');
+});
@@ -0,0 +1,100 @@
+// The Ralph loop (scripts/ralph.sh) end to end with the fake agent
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync, execFileSync } = require('child_process');
+
+const RALPH = path.join(__dirname, '..', 'scripts', 'ralph.sh');
+const GIT_ENV = { ...process.env, GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+
+function story(id, priority) {
+  return { id, title: `Story ${id}`, description: `Implement ${id}`, acceptanceCriteria: [`${id} works`], priority, passes: false };
+}
+
+function gitIn(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf8' }).trim();
+}
+
+// A temporary repo holding prd.json, and the fake agent's script next to it
+function setup(t, userStories, script) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-loop-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const repo = path.join(dir, 'repo');
+  fs.mkdirSync(repo);
+  gitIn(repo, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(repo, 'prd.json'), JSON.stringify({
+    featureName: 'Widgets', branchName: 'feature/widgets', userStories
+  }, null, 2) + '\n');
+  gitIn(repo, 'add', '-A');
+  gitIn(repo, 'commit', '-qm', 'init');
+  const scriptFile = path.join(dir, 'fake-agent.json');
+  fs.writeFileSync(scriptFile, JSON.stringify(script));
+  return { repo, scriptFile };
+}
+
+// Run the loop with its events on fd 3, as the server does
+function ralph({ repo, scriptFile }, ...args) {
+  const run = spawnSync('bash', [RALPH, repo, '10', '--tool', 'fake', '--pause', '0', ...args], {
+    env: { ...GIT_ENV, FAKE_AGENT_SCRIPT: scriptFile, RALPH_EVENTS_FD: '3', RALPH_CHECKS: '[]' },
+    stdio: ['ignore', 'pipe', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    timeout: 120000
+  });
+  const events = run.output[3].split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const prd = JSON.parse(fs.readFileSync(path.join(repo, 'prd.json'), 'utf8'));
+  return { status: run.status, stdout: run.stdout, events, prd, stories: Object.fromEntries(prd.userStories.map(s => [s.id, s])) };
+}
+
+test('every story passes on its first attempt', t => {
+  const run = ralph(setup(t, [story('story-1', 1), story('story-2', 2)], { '*': ['pass'] }));
+
+  assert.equal(run.status, 0, run.stdout);
+  assert.deepEqual(run.events.at(-1), { event: 'complete', iteration: 3, blocked: 0 });
+  assert.deepEqual(run.events.filter(e => e.event === 'story_passed').map(e => e.storyId), ['story-1', 'story-2']);
+  assert.equal(run.stories['story-1'].passes, true);
+  assert.equal(run.stories['story-2'].passes, true);
+  assert.equal(run.stories['story-1'].attempts, 1);
+  assert.equal(run.events.filter(e => e.event === 'rollback').length, 0);
+});
+
+test('a story that fails once passes on its second attempt', t => {
+  const env = setup(t, [story('story-1', 1)], { 'story-1': ['fail', 'pass'] });
+  const run = ralph(env);
+
+  assert.equal(run.status, 0, run.stdout);
+  assert.equal(run.events.at(-1).event, 'complete');
+  assert.deepEqual(
+    run.events.filter(e => e.event === 'iteration_finished').map(e => e.outcome),
+    ['incomplete', 'passed']
+  );
+  assert.equal(run.stories['story-1'].passes, true);
+  assert.equal(run.stories['story-1'].attempts, 2);
+
+  // The failed attempt was reset and kept on a side branch
+  const rollback = run.events.find(e => e.event === 'rollback');
+  assert.equal(rollback.mode, 'branch');
+  assert.match(gitIn(env.repo, 'show', `${rollback.branch}:fake-agent/story-1.md`), /attempt 1 \(fail\)/);
+  assert.match(fs.readFileSync(path.join(env.repo, 'fake-agent', 'story-1.md'), 'utf8'), /attempt 2 \(pass\)/);
+  assert.equal(gitIn(env.repo, 'branch', '--show-current'), 'feature/widgets');
+});
+
+test('a story that keeps failing is blocked after the maximum attempts', t => {
+  const run = ralph(setup(t, [story('story-1', 1), story('story-2', 2)], { 'story-1': ['fail'], '*': ['pass'] }), '--max-attempts', '2');
+
+  const blocked = run.events.find(e => e.event === 'story_blocked');
+  assert.equal(blocked.storyId, 'story-1');
+  assert.equal(blocked.attempts, 2);
+  assert.match(blocked.reason, /Could not finish story-1/);
+  assert.equal(run.stories['story-1'].blocked, true);
+  assert.equal(run.stories['story-1'].passes, false);
+  assert.equal(run.stories['story-1'].attempts, 2);
+
+  // Ralph moved on to the other story, never retried the blocked one and
+  // finished once nothing else was left
+  assert.equal(run.status, 0, run.stdout);
+  assert.deepEqual(run.events.at(-1), { event: 'complete', iteration: 4, blocked: 1 });
+  assert.equal(run.stories['story-2'].passes, true);
+  assert.equal(run.events.filter(e => e.event === 'story_started' && e.storyId === 'story-1').length, 2);
+});
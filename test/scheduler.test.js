@@ -0,0 +1,62 @@
+// The job queue: FIFO dispatch, one job per PRD and MAX_CONCURRENT_JOBS, with
+// Ralph jobs run by the fake agent
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sleep, createOrigin, finishedJob, startDashboard } = require('./support/dashboard');
+
+function prd(featureName, branchName) {
+  return {
+    featureName,
+    branchName,
+    userStories: ['story-1', 'story-2'].map((id, index) => (
+      { id, title: `Story ${id}`, description: `Implement ${id}`, acceptanceCriteria: [`${id} works`], priority: index + 1, passes: false }
+    ))
+  };
+}
+
+test('a second job on a PRD waits for the first while other PRDs run', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-scheduler-test-'));
+  const origin = createOrigin(dir);
+
+  const { api } = await startDashboard(t, dir, { MAX_CONCURRENT_JOBS: '2', RALPH_CHECKS: '[]' });
+  assert.equal((await api('POST', '/api/repos/clone', { url: origin })).status, 200);
+  assert.equal((await api('POST', '/api/repos/origin/prd', prd('Widgets', 'feature/widgets'))).status, 200);
+  assert.equal((await api('POST', '/api/repos/origin/prd?prd=billing', prd('Billing', 'feature/billing'))).status, 200);
+  assert.equal((await api('POST', '/api/repos/origin/prd?prd=search', prd('Search', 'feature/search'))).status, 200);
+
+  const ralph = body => api('POST', '/api/ralph', { repo: 'origin', tool: 'fake', pauseSeconds: 1, ...body });
+  const first = (await ralph({})).body;
+  assert.equal(first.status, 'running');
+  const second = (await ralph({})).body;
+  assert.equal(second.status, 'queued');
+  assert.equal(second.queuePosition, 1);
+
+  // Another PRD isn't held up by the queued job, until the limit is reached
+  const billing = (await ralph({ prd: 'billing' })).body;
+  assert.equal(billing.status, 'running');
+  const search = (await ralph({ prd: 'search' })).body;
+  assert.equal(search.status, 'queued');
+  assert.equal(search.queuePosition, 2);
+
+  // The second job stays queued for as long as the first runs
+  const jobs = async () => Object.fromEntries((await api('GET', '/api/jobs')).body.map(job => [job.id, job]));
+  let listed = await jobs();
+  assert.equal(listed[second.jobId].queuePosition, 1);
+  while (listed[first.jobId].status === 'running') {
+    assert.equal(listed[second.jobId].status, 'queued');
+    await sleep(100);
+    listed = await jobs();
+  }
+
+  for (const jobId of [first.jobId, second.jobId, billing.jobId, search.jobId]) {
+    const job = await finishedJob(api, jobId);
+    assert.equal(job.status, 'completed', (await api('GET', `/api/jobs/${jobId}/logs`)).body.data);
+  }
+  // The first job left the second nothing to do on the PRD
+  const events = (await api('GET', `/api/jobs/${second.jobId}/events`)).body.events;
+  assert.equal(events.filter(event => event.type === 'story_started').length, 0);
+  assert.equal(events.at(-1).type, 'complete');
+});
@@ -0,0 +1,133 @@
+// Shared helpers for the tests that run the dashboard server
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+const GIT_ENV = { ...process.env, GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+const ADMIN_PASSWORD = 'test-password';
+
+function gitIn(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf8' }).trim();
+}
+
+function freePort() {
+  return new Promise(resolve => {
+    const probe = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll check() until it returns something truthy, or give up after `ms`
+async function waitFor(check, ms = 30000) {
+  for (const end = Date.now() + ms; ; await sleep(100)) {
+    const value = await check();
+    if (value || Date.now() > end) return value;
+  }
+}
+
+// Bare repo at dir/origin.git with one commit on main, for the dashboard to clone
+function createOrigin(dir) {
+  const seed = path.join(dir, 'seed');
+  fs.mkdirSync(seed);
+  gitIn(seed, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(seed, 'README.md'), 'widgets\n');
+  gitIn(seed, 'add', '-A');
+  gitIn(seed, 'commit', '-qm', 'init');
+  const origin = path.join(dir, 'origin.git');
+  gitIn(dir, 'clone', '-q', '--bare', seed, origin);
+  return origin;
+}
+
+// JSON client for the API; headers carry the session cookie or bearer token
+function client(base, headers = {}) {
+  return async (method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+// Log in and return the session cookie, or null if the login failed
+async function login(base, username, password) {
+  const res = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  }).catch(() => null);
+  return res && res.ok ? res.headers.get('set-cookie').split(';')[0] : null;
+}
+
+// A job as GET /api/jobs lists it, once it has left the queue and finished
+function finishedJob(api, jobId) {
+  return waitFor(async () => {
+    const job = (await api('GET', '/api/jobs')).body.find(j => j.id === jobId);
+    return ['queued', 'running'].includes(job.status) ? null : job;
+  });
+}
+
+// Dashboard server keeping its data, repos, worktrees and logs in dir, with an
+// admin API client. Returns { base, port, api, output }. After the test the
+// server is stopped before dir is removed, as it may still be writing there.
+async function startDashboard(t, dir, env = {}) {
+  const port = await freePort();
+  const proc = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...GIT_ENV,
+      PORT: String(port),
+      ADMIN_PASSWORD,
+      ALLOW_LOCAL_CLONES: 'true',
+      DATA_DIR: path.join(dir, 'data'),
+      REPOS_DIR: path.join(dir, 'repos'),
+      LOGS_DIR: path.join(dir, 'logs'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  proc.stdout.on('data', chunk => { output += chunk; });
+  proc.stderr.on('data', chunk => { output += chunk; });
+  t.after(async () => {
+    if (proc.exitCode === null && proc.signalCode === null) {
+      const exited = new Promise(resolve => proc.once('exit', resolve));
+      proc.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // The server creates the admin account before it starts listening
+  for (let i = 0; i < 300 && !/running at/.test(output) && proc.exitCode === null; i++) {
+    await sleep(100);
+  }
+  const base = `http://127.0.0.1:${port}`;
+  const cookie = await login(base, 'admin', ADMIN_PASSWORD);
+  assert.ok(cookie, `dashboard did not start:\n${output}`);
+
+  return { base, port, api: client(base, { Cookie: cookie }), output: () => output };
+}
+
+module.exports = {
+  ROOT,
+  GIT_ENV,
+  gitIn,
+  sleep,
+  waitFor,
+  createOrigin,
+  client,
+  login,
+  finishedJob,
+  startDashboard
+};
@@ -0,0 +1,85 @@
+// Job worktrees (worktrees.js and the server's prepare/release of them),
+// with Ralph jobs run by the fake agent
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { gitIn, createOrigin, finishedJob, startDashboard } = require('./support/dashboard');
+
+const PRD = {
+  featureName: 'Widgets',
+  branchName: 'feature/widgets',
+  userStories: [
+    { id: 'story-1', title: 'Parse widgets', description: 'Read widgets.json', acceptanceCriteria: ['Parses'], priority: 1, passes: false },
+    { id: 'story-2', title: 'Render widgets', description: 'Draw them', acceptanceCriteria: ['Renders'], priority: 2, passes: false }
+  ]
+};
+
+test('kept worktrees leave the PRD branch free for the next Ralph job', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-worktree-test-'));
+  const origin = createOrigin(dir);
+
+  const { api } = await startDashboard(t, dir, { KEEP_WORKTREES: 'true', RALPH_CHECKS: '[]' });
+  assert.equal((await api('POST', '/api/repos/clone', { url: origin })).status, 200);
+  assert.equal((await api('POST', '/api/repos/origin/prd', PRD)).status, 200);
+
+  const runJob = async maxIterations => {
+    const started = await api('POST', '/api/ralph', { repo: 'origin', tool: 'fake', maxIterations, pauseSeconds: 0 });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    return finishedJob(api, started.body.jobId);
+  };
+  const worktreeOf = async job => (await api('GET', '/api/repos/origin/worktrees')).body.find(w => w.jobId === job.id);
+
+  // The first job stops after story-1 and its kept worktree is detached
+  const first = await runJob(1);
+  assert.equal((await worktreeOf(first)).detached, true);
+
+  // As a server killed mid-job would leave it: the next job detaches it itself
+  gitIn((await worktreeOf(first)).path, 'checkout', '-q', PRD.branchName);
+  const second = await runJob(2);
+
+  const secondLog = (await api('GET', `/api/jobs/${second.id}/logs`)).body.data;
+  assert.equal(second.status, 'completed', secondLog);
+  assert.match(secondLog, /\[Worktree\] Detached \S+job-1 of job 1 from feature\/widgets/);
+  assert.equal(second.branch, PRD.branchName);
+  const prd = (await api('GET', '/api/repos/origin/prd')).body;
+  assert.deepEqual(prd.userStories.map(s => s.passes), [true, true]);
+
+  // Both worktrees are still there, detached, with the branch free again
+  for (const job of [first, second]) {
+    const worktree = await worktreeOf(job);
+    assert.ok(worktree, `worktree of job ${job.id} was removed`);
+    assert.equal(worktree.detached, true);
+    assert.equal(worktree.branch, null);
+  }
+  const checkout = path.join(dir, 'repos', 'origin');
+  assert.match(gitIn(checkout, 'show', `${PRD.branchName}:fake-agent/story-2.md`), /attempt 1 \(pass\)/);
+
+  // Resuming a job checks the branch out in its kept worktree again
+  assert.equal((await api('POST', `/api/jobs/${first.id}/resume`)).status, 200);
+  const resumed = await finishedJob(api, first.id);
+  const resumedLog = (await api('GET', `/api/jobs/${first.id}/logs`)).body.data;
+  assert.equal(resumed.status, 'completed', resumedLog);
+  assert.match(resumedLog, /\[Worktree\] Reusing \S+job-1 \(feature\/widgets\)/);
+});
+
+test('a job whose worktree cannot be prepared fails and leaves no worktree behind', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph-worktree-test-'));
+  const origin = createOrigin(dir);
+
+  const { api } = await startDashboard(t, dir, { RALPH_CHECKS: '[]' });
+  assert.equal((await api('POST', '/api/repos/clone', { url: origin })).status, 200);
+  assert.equal((await api('POST', '/api/repos/origin/prd', PRD)).status, 200);
+
+  // progress.txt cannot be copied into the worktree once it is created
+  fs.mkdirSync(path.join(dir, 'repos', 'origin', 'progress.txt'));
+  const started = await api('POST', '/api/ralph', { repo: 'origin', tool: 'fake', pauseSeconds: 0 });
+  const job = await finishedJob(api, started.body.jobId);
+
+  const log = (await api('GET', `/api/jobs/${job.id}/logs`)).body.data;
+  assert.equal(job.status, 'failed', log);
+  assert.match(log, /\[Error\] Failed to prepare the worktree/);
+  assert.match(log, /\[Worktree\] Removed /);
+  assert.deepEqual((await api('GET', '/api/repos/origin/worktrees')).body.map(w => w.main), [true]);
+});
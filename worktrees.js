@@ -0,0 +1,123 @@
+// Git worktrees for jobs: each manager or ralph job runs in its own checkout
+// so the loop and dashboard git actions never share a working tree.
+const fs = require('fs');
+const path = require('path');
+const { run, assertRef } = require('./git');
+
+async function git(cwd, args) {
+  return (await run(cwd, args)).stdout;
+}
+
+// Parse `git worktree list --porcelain` into
+// [{ path, head, branch, detached, locked, prunable, main }]
+async function listWorktrees(repoPath) {
+  const output = await git(repoPath, ['worktree', 'list', '--porcelain']);
+  return output.split(/\n\n+/).filter(Boolean).map((block, index) => {
+    const worktree = { path: null, head: null, branch: null, detached: false, locked: false, prunable: false, main: index === 0 };
+    block.split('\n').forEach(line => {
+      const [key, ...rest] = line.split(' ');
+      const value = rest.join(' ');
+      if (key === 'worktree') worktree.path = value;
+      else if (key === 'HEAD') worktree.head = value;
+      else if (key === 'branch') worktree.branch = value.replace(/^refs\/heads\//, '');
+      else if (key === 'detached') worktree.detached = true;
+      else if (key === 'locked') worktree.locked = true;
+      else if (key === 'prunable') worktree.prunable = true;
+    });
+    return worktree;
+  });
+}
+
+// Path of the worktree that has a branch checked out, or null
+async function findWorktreeForBranch(repoPath, branch) {
+  const worktrees = await listWorktrees(repoPath);
+  const match = worktrees.find(w => w.branch === branch);
+  return match ? match.path : null;
+}
+
+function assertBranchFree(branch, elsewhere) {
+  if (elsewhere) {
+    throw new Error(`Branch ${branch} is already checked out at ${elsewhere}. Switch that checkout to another branch first.`);
+  }
+}
+
+// Create a worktree at worktreePath, on branch (created from HEAD if it does
+// not exist yet) or detached at HEAD when no branch is given. An existing
+// worktree at that path is reused, and checks the branch out again if it was
+// detached from it. Returns { path, created }.
+async function addWorktree(repoPath, worktreePath, branch = null) {
+  await git(repoPath, ['worktree', 'prune']);
+
+  const existing = (await listWorktrees(repoPath)).find(w => path.resolve(w.path) === path.resolve(worktreePath));
+  if (existing) {
+    if (branch && existing.branch !== branch) {
+      if (!existing.detached) {
+        throw new Error(`Worktree ${worktreePath} is on ${existing.branch}, not ${branch}`);
+      }
+      assertRef(branch);
+      assertBranchFree(branch, await findWorktreeForBranch(repoPath, branch));
+      await git(worktreePath, ['checkout', '-q', branch, '--']);
+    }
+    return { path: worktreePath, created: false };
+  }
+
+  if (branch) assertRef(branch);
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+
+  if (!branch) {
+    await git(repoPath, ['worktree', 'add', '--detach', worktreePath, 'HEAD']);
+  } else {
+    assertBranchFree(branch, await findWorktreeForBranch(repoPath, branch));
+
+    let exists = true;
+    try {
+      await git(repoPath, ['show-ref', '--verify', '--quiet', '--', `refs/heads/${branch}`]);
+    } catch (e) {
+      exists = false;
+    }
+
+    if (exists) {
+      await git(repoPath, ['worktree', 'add', worktreePath, branch]);
+    } else {
+      await git(repoPath, ['worktree', 'add', '-b', branch, worktreePath, 'HEAD']);
+    }
+  }
+  return { path: worktreePath, created: true };
+}
+
+// Commit everything left in a worktree. Returns the new commit hash, or null
+// if there was nothing to commit.
+async function commitAll(worktreePath, message) {
+  const status = await git(worktreePath, ['status', '--porcelain']);
+  if (!status) return null;
+
+  await git(worktreePath, ['add', '-A']);
+  await git(worktreePath, ['commit', '-q', '-m', message]);
+  return git(worktreePath, ['rev-parse', 'HEAD']);
+}
+
+// Detach a worktree from its branch at the same commit, keeping its files and
+// any uncommitted changes, so the branch can be checked out elsewhere
+async function detachWorktree(worktreePath) {
+  await git(worktreePath, ['checkout', '-q', '--detach']);
+}
+
+async function removeWorktree(repoPath, worktreePath) {
+  try {
+    await git(repoPath, ['worktree', 'remove', '--force', worktreePath]);
+  } catch (e) {
+    // Not registered any more or half created: clear the directory and let
+    // prune forget it
+    fs.rmSync(worktreePath, { recursive: true, force: true });
+  }
+  await git(repoPath, ['worktree', 'prune']);
+}
+
+module.exports = {
+  listWorktrees,
+  findWorktreeForBranch,
+  addWorktree,
+  commitAll,
+  detachWorktree,
+  removeWorktree
+};